@@ -8,6 +8,7 @@ class DMTools {
     this.configManager = null;
     this.audioEngine = null;
     this.lightingController = null;
+    this.homeAssistantClient = null;
     this.sceneManager = null;
     this.musicManager = null;
     this.initialized = false;
@@ -33,21 +34,39 @@ class DMTools {
 
       // Initialize lighting controller
       this.lightingController = new LightingController(this.configManager);
+      this.lightingController.onWarning = (message) => this.showError(message);
       await this.lightingController.initialize();
 
+      // Initialize Home Assistant event client (connects once the UI is ready)
+      this.homeAssistantClient = new HomeAssistantClient(this.configManager);
+      this.homeAssistantClient.onStateChange = () => this.updateConnectionStatus();
+      this.homeAssistantClient.onAction = (action) => this.handleHomeAssistantAction(action);
+
+      // Initialize music manager (scenes can play its collections)
+      this.musicManager = new MusicManager(this.audioEngine);
+      await this.musicManager.load();
+
       // Initialize trigger manager
       this.sceneManager = new SceneManager(
         this.configManager,
         this.audioEngine,
-        this.lightingController
+        this.lightingController,
+        this.musicManager
       );
 
+      // Trigger buttons show running, queued and cooldown states
+      this.sceneManager.onTriggerStateChange = () => this.updateTriggerButtonStates();
+
+      // Scenes can fire triggers by themselves
+      this.sceneManager.onRandomTrigger = (triggerId) => {
+        this.showNotification(`Random: ${this.configManager.getTrigger(triggerId).name}`);
+      };
+
       // Initialize and turn off lights
       await this.sceneManager.initialize();
 
-      // Initialize music manager
-      this.musicManager = new MusicManager(this.audioEngine);
-      await this.musicManager.load();
+      // Keep the up-next list in sync with the queue
+      this.audioEngine.onQueueChange = () => this.updateMusicQueue();
 
       // Build UI
       this.buildUI();
@@ -63,6 +82,26 @@ class DMTools {
       // Display connection status
       this.updateConnectionStatus();
 
+      // Keep the lighting status in sync with what was sent to WLED
+      this.lightingController.onStateChange = () => this.updateLightingStatus();
+      this.updateLightingStatus();
+
+      // Warn about effect/palette names the WLED devices don't know
+      this.lightingController.validateWLEDNames();
+
+      // Listen for Home Assistant events
+      this.homeAssistantClient.connect();
+
+      // Keep checking connections; re-apply the scene's lighting when a device comes back
+      this.lightingController.onStatusChange = () => this.updateConnectionStatus();
+      this.lightingController.onReconnect = (target) => this.sceneManager.reapplySceneLighting(target);
+      this.lightingController.startHealthMonitor();
+
+      // Decode trigger sounds in the background so the first fire isn't late
+      if (this.configManager.getTriggerCacheConfig().preload === 'startup') {
+        this.audioEngine.preloadTriggerSounds();
+      }
+
     } catch (error) {
       console.error('Initialization error:', error);
       this.showError('Failed to initialize DMTools. Please check your configuration and try again.');
@@ -111,7 +150,7 @@ class DMTools {
    */
   createSceneButton(scene) {
     const button = document.createElement('button');
-    button.className = 'scene-button';
+    button.className = scene.overlay ? 'scene-button scene-overlay' : 'scene-button';
     button.dataset.sceneId = scene.id;
     button.textContent = scene.name;
 
@@ -137,6 +176,14 @@ class DMTools {
       this.executeTrigger(trigger.id);
     });
 
+    // Decode this trigger's sounds while the pointer is on its way to click
+    if (this.configManager.getTriggerCacheConfig().preload === 'hover') {
+      const preload = () => this.audioEngine.preloadTriggerSounds(trigger.id);
+      button.addEventListener('mouseenter', preload);
+      button.addEventListener('focus', preload);
+      button.addEventListener('touchstart', preload, { passive: true });
+    }
+
     return button;
   }
 
@@ -278,6 +325,26 @@ class DMTools {
       });
     }
 
+    // Shuffle toggle (keeps the current track playing)
+    const musicShuffleButton = document.getElementById('music-shuffle');
+    if (musicShuffleButton) {
+      musicShuffleButton.addEventListener('click', () => {
+        this.musicManager.setShuffle(!this.musicManager.getQueue().shuffle);
+        this.updateMusicPlayer();
+      });
+    }
+
+    // Repeat button cycles all -> one -> off
+    const musicRepeatButton = document.getElementById('music-repeat');
+    if (musicRepeatButton) {
+      musicRepeatButton.addEventListener('click', () => {
+        const modes = ['all', 'one', 'off'];
+        const current = modes.indexOf(this.musicManager.getQueue().repeat);
+        this.musicManager.setRepeatMode(modes[(current + 1) % modes.length]);
+        this.updateMusicPlayer();
+      });
+    }
+
     // Progress bar click to seek
     const progressBar = document.querySelector('.music-progress-bar');
     if (progressBar) {
@@ -305,12 +372,13 @@ class DMTools {
   async toggleScene(sceneId) {
     try {
       const scene = this.configManager.getScene(sceneId);
-      const wasActive = this.sceneManager.getActiveScene() === sceneId;
+      const wasActive = this.sceneManager.isSceneActive(sceneId);
 
       await this.sceneManager.startScene(sceneId);
 
-      // Update button states
+      // Update button states (the scene may have changed the music)
       this.updateSceneButtonStates();
+      this.updateMusicCollectionButtons();
 
       if (wasActive) {
         this.showNotification(`Stopped: ${scene.name}`);
@@ -327,12 +395,11 @@ class DMTools {
    * Update visual state of scene buttons
    */
   updateSceneButtonStates() {
-    const activeScene = this.sceneManager.getActiveScene();
     const sceneButtons = document.querySelectorAll('.scene-button');
 
     sceneButtons.forEach(button => {
       const sceneId = button.dataset.sceneId;
-      if (sceneId === activeScene) {
+      if (this.sceneManager.isSceneActive(sceneId)) {
         button.classList.add('active');
       } else {
         button.classList.remove('active');
@@ -340,6 +407,29 @@ class DMTools {
     });
   }
 
+  /**
+   * Update trigger buttons to show which triggers are running, queued or cooling down
+   */
+  updateTriggerButtonStates() {
+    const triggerButtons = document.querySelectorAll('.trigger-button');
+
+    triggerButtons.forEach(button => {
+      const state = this.sceneManager.getTriggerState(button.dataset.triggerId);
+
+      const coolingDown = state.cooldown > 0 && !state.running;
+
+      // Cooldown bar runs down over the time left when the cooldown starts;
+      // later updates leave it alone so the animation doesn't jump
+      if (coolingDown && !button.classList.contains('cooldown')) {
+        button.style.setProperty('--cooldown-duration', `${state.cooldown}ms`);
+      }
+
+      button.classList.toggle('running', state.running);
+      button.classList.toggle('queued', state.queued);
+      button.classList.toggle('cooldown', coolingDown);
+    });
+  }
+
   /**
    * Execute a trigger
    * @param {string} triggerId - Trigger identifier
@@ -347,15 +437,53 @@ class DMTools {
   async executeTrigger(triggerId) {
     try {
       const trigger = this.configManager.getTrigger(triggerId);
-      this.showNotification(`Executing: ${trigger.name}`);
-      await this.sceneManager.executeTrigger(triggerId);
-      this.showNotification(`Completed: ${trigger.name}`);
+
+      const blocked = this.sceneManager.getTriggerBlockReason(triggerId);
+      if (blocked) {
+        const reasons = {
+          cooldown: 'cooling down',
+          running: 'another trigger is running',
+          queued: 'already queued'
+        };
+        this.showNotification(`${trigger.name}: ${reasons[blocked]}`);
+        return;
+      }
+
+      const queued = this.sceneManager.getActiveTriggers().length > 0 &&
+        this.configManager.getTriggerPolicy(triggerId).concurrency === 'queue';
+      this.showNotification(`${queued ? 'Queued' : 'Executing'}: ${trigger.name}`);
+
+      const completed = await this.sceneManager.executeTrigger(triggerId);
+      if (completed) {
+        this.showNotification(`Completed: ${trigger.name}`);
+      }
     } catch (error) {
       console.error('Error executing trigger:', error);
       this.showError('Failed to execute trigger');
     }
   }
 
+  /**
+   * Run an action mapped from a Home Assistant event
+   * @param {Object} action - Mapping with scene, stopScene or trigger
+   */
+  async handleHomeAssistantAction(action) {
+    if (action.scene) {
+      // Events start a scene; they never toggle an active one off
+      if (!this.sceneManager.isSceneActive(action.scene)) {
+        await this.toggleScene(action.scene);
+      }
+    }
+
+    if (action.stopScene) {
+      await this.stopAllScenes();
+    }
+
+    if (action.trigger) {
+      await this.executeTrigger(action.trigger);
+    }
+  }
+
   /**
    * Stop all ambient scenes
    */
@@ -363,6 +491,7 @@ class DMTools {
     try {
       await this.sceneManager.stopScene();
       this.updateSceneButtonStates();
+      this.updateMusicCollectionButtons();
       this.showNotification('Stopped all scenes');
     } catch (error) {
       console.error('Error stopping scenes:', error);
@@ -375,7 +504,7 @@ class DMTools {
    */
   async stopAllTriggers() {
     try {
-      await this.audioEngine.stopTriggers();
+      await this.sceneManager.cancelAllTriggers();
       this.showNotification('Stopped all triggers');
     } catch (error) {
       console.error('Error stopping triggers:', error);
@@ -434,7 +563,37 @@ class DMTools {
           this.playCollection(category, collection);
         });
 
-        categoryContent.appendChild(button);
+        const collectionDiv = document.createElement('div');
+        collectionDiv.className = 'music-collection';
+        collectionDiv.appendChild(button);
+        collectionDiv.appendChild(this.createQueueActions(
+          (position) => this.queueCollection(category, collection, position),
+          () => collectionDiv.classList.toggle('expanded')
+        ));
+
+        // Individual tracks (shown with the track list button)
+        const trackList = document.createElement('div');
+        trackList.className = 'music-track-list';
+
+        tracks.forEach(track => {
+          const trackRow = document.createElement('div');
+          trackRow.className = 'music-track';
+
+          const trackName = document.createElement('span');
+          trackName.className = 'music-track-name';
+          trackName.textContent = track.split('/').pop();
+          trackName.title = 'Play this track';
+          trackName.addEventListener('click', () => this.playTrack(track));
+
+          trackRow.appendChild(trackName);
+          trackRow.appendChild(this.createQueueActions(
+            (position) => this.queueTrack(track, position)
+          ));
+          trackList.appendChild(trackRow);
+        });
+
+        collectionDiv.appendChild(trackList);
+        categoryContent.appendChild(collectionDiv);
       });
 
       categoryDiv.appendChild(categoryContent);
@@ -442,6 +601,37 @@ class DMTools {
     });
   }
 
+  /**
+   * Create "play next" / "add to queue" buttons
+   * @param {Function} onQueue - Called with "next" or "end"
+   * @param {Function} onToggleTracks - Called by the track list button (omitted if not given)
+   * @returns {HTMLElement}
+   */
+  createQueueActions(onQueue, onToggleTracks = null) {
+    const actions = document.createElement('div');
+    actions.className = 'music-queue-actions';
+
+    const buttons = [
+      { label: '⤵', title: 'Play next', onClick: () => onQueue('next') },
+      { label: '+', title: 'Add to queue', onClick: () => onQueue('end') }
+    ];
+
+    if (onToggleTracks) {
+      buttons.push({ label: '☰', title: 'Show tracks', onClick: onToggleTracks });
+    }
+
+    buttons.forEach(({ label, title, onClick }) => {
+      const button = document.createElement('button');
+      button.className = 'music-queue-action';
+      button.textContent = label;
+      button.title = title;
+      button.addEventListener('click', onClick);
+      actions.appendChild(button);
+    });
+
+    return actions;
+  }
+
   /**
    * Play a music collection
    * @param {string} category - Category name
@@ -459,6 +649,56 @@ class DMTools {
     }
   }
 
+  /**
+   * Play a single track from the library
+   * @param {string} trackPath - Path to the track (relative to music/)
+   */
+  async playTrack(trackPath) {
+    try {
+      await this.musicManager.playTrack(trackPath);
+      this.updateMusicPlayer();
+      this.updateMusicCollectionButtons();
+      this.showNotification(`Playing: ${trackPath.split('/').pop()}`);
+    } catch (error) {
+      console.error('Error playing track:', error);
+      this.showError('Failed to play track');
+    }
+  }
+
+  /**
+   * Add a music collection to the queue
+   * @param {string} category - Category name
+   * @param {string} collection - Collection name
+   * @param {string} position - "next" or "end"
+   */
+  async queueCollection(category, collection, position) {
+    try {
+      await this.musicManager.queueCollection(category, collection, position);
+      this.updateMusicPlayer();
+      this.updateMusicCollectionButtons();
+      this.showNotification(`${position === 'next' ? 'Playing next' : 'Added to queue'}: ${collection}`);
+    } catch (error) {
+      console.error('Error queueing collection:', error);
+      this.showError('Failed to queue collection');
+    }
+  }
+
+  /**
+   * Add a single track to the queue
+   * @param {string} trackPath - Path to the track (relative to music/)
+   * @param {string} position - "next" or "end"
+   */
+  async queueTrack(trackPath, position) {
+    try {
+      await this.musicManager.queueTrack(trackPath, position);
+      this.updateMusicPlayer();
+      this.showNotification(`${position === 'next' ? 'Playing next' : 'Added to queue'}: ${trackPath.split('/').pop()}`);
+    } catch (error) {
+      console.error('Error queueing track:', error);
+      this.showError('Failed to queue track');
+    }
+  }
+
   /**
    * Stop music playback
    */
@@ -525,6 +765,8 @@ class DMTools {
     const currentTimeEl = document.getElementById('music-current-time');
     const durationEl = document.getElementById('music-duration');
     const progressFill = document.getElementById('music-progress-fill');
+    const shuffleButton = document.getElementById('music-shuffle');
+    const repeatButton = document.getElementById('music-repeat');
 
     if (!musicPlayer || !trackNameEl || !collectionNameEl) return;
 
@@ -537,6 +779,9 @@ class DMTools {
 
       if (currentCollection) {
         collectionNameEl.textContent = `${currentCollection.category} / ${currentCollection.collection} (${currentTrack.currentIndex + 1}/${currentTrack.playlistLength})`;
+      } else if (currentTrack.isPlaylist) {
+        const playlistName = currentTrack.playlistTitle || 'Playlist';
+        collectionNameEl.textContent = `${playlistName} (${currentTrack.currentIndex + 1}/${currentTrack.playlistLength})`;
       } else {
         collectionNameEl.textContent = '';
       }
@@ -546,6 +791,22 @@ class DMTools {
         playPauseButton.textContent = currentTrack.isPaused ? '▶' : '⏸';
       }
 
+      // Update shuffle and repeat buttons
+      if (shuffleButton) {
+        shuffleButton.classList.toggle('active', currentTrack.shuffle);
+        shuffleButton.title = `Shuffle: ${currentTrack.shuffle ? 'on' : 'off'}`;
+      }
+
+      if (repeatButton) {
+        repeatButton.textContent = currentTrack.repeat === 'one' ? '🔂' : '🔁';
+        repeatButton.classList.toggle('active', currentTrack.repeat !== 'off');
+        repeatButton.title = {
+          all: 'Repeat: all',
+          one: 'Repeat: current track',
+          off: 'Repeat: off (stop at the end)'
+        }[currentTrack.repeat];
+      }
+
       // Update progress bar
       if (currentTimeEl && durationEl && progressFill) {
         currentTimeEl.textContent = this.formatTime(currentTrack.currentTime);
@@ -559,6 +820,86 @@ class DMTools {
     }
   }
 
+  /**
+   * Rebuild the up-next list from the queue
+   * Called when the queue changes rather than on the player timer, so drags aren't interrupted
+   */
+  updateMusicQueue() {
+    const queueEl = document.getElementById('music-queue');
+    const listEl = document.getElementById('music-queue-list');
+    if (!queueEl || !listEl) return;
+
+    const queue = this.musicManager.getQueue();
+    const first = queue.index + 1;
+    const upcoming = queue.entries.slice(first);
+
+    listEl.innerHTML = '';
+    queueEl.style.display = upcoming.length > 0 ? 'block' : 'none';
+
+    upcoming.forEach((entry, i) => {
+      listEl.appendChild(this.createQueueItem(entry, first + i, first, queue.entries.length - 1));
+    });
+  }
+
+  /**
+   * Create an up-next list item
+   * Items can be dragged, or moved with the arrow buttons on touch screens
+   * @param {Object} entry - Queue entry ({ id, title })
+   * @param {number} position - Index into the queue
+   * @param {number} first - Queue index of the first upcoming track
+   * @param {number} last - Queue index of the last track
+   * @returns {HTMLElement}
+   */
+  createQueueItem(entry, position, first, last) {
+    const item = document.createElement('li');
+    item.className = 'music-queue-item';
+    item.draggable = true;
+
+    const name = document.createElement('span');
+    name.className = 'music-queue-title';
+    name.textContent = entry.title;
+    name.title = 'Play now';
+    name.addEventListener('click', () => this.musicManager.playQueueEntry(entry.id));
+    item.appendChild(name);
+
+    const buttons = [
+      { label: '▲', title: 'Move up', disabled: position === first, onClick: () => this.musicManager.moveQueueEntry(entry.id, position - 1) },
+      { label: '▼', title: 'Move down', disabled: position === last, onClick: () => this.musicManager.moveQueueEntry(entry.id, position + 1) },
+      { label: '✕', title: 'Remove from queue', disabled: false, onClick: () => this.musicManager.removeQueueEntry(entry.id) }
+    ];
+
+    buttons.forEach(({ label, title, disabled, onClick }) => {
+      const button = document.createElement('button');
+      button.className = 'music-queue-action';
+      button.textContent = label;
+      button.title = title;
+      button.disabled = disabled;
+      button.addEventListener('click', onClick);
+      item.appendChild(button);
+    });
+
+    // Drag and drop reordering
+    item.addEventListener('dragstart', (e) => {
+      e.dataTransfer.setData('text/plain', String(entry.id));
+      e.dataTransfer.effectAllowed = 'move';
+      item.classList.add('dragging');
+    });
+    item.addEventListener('dragend', () => item.classList.remove('dragging'));
+    item.addEventListener('dragover', (e) => {
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'move';
+    });
+    item.addEventListener('drop', (e) => {
+      e.preventDefault();
+      const id = parseInt(e.dataTransfer.getData('text/plain'), 10);
+      if (id !== entry.id) {
+        this.musicManager.moveQueueEntry(id, position);
+      }
+    });
+
+    return item;
+  }
+
   /**
    * Update visual state of music collection buttons
    */
@@ -586,19 +927,121 @@ class DMTools {
    */
   updateConnectionStatus() {
     const status = this.lightingController.getStatus();
+    const failures = this.lightingController.getFailedCommands();
 
     const wledStatus = document.getElementById('status-wled');
     const haStatus = document.getElementById('status-ha');
 
     if (wledStatus) {
       wledStatus.className = status.wled ? 'status-indicator status-connected' : 'status-indicator status-disconnected';
+
+      // List each device in the tooltip
+      const lines = Object.entries(status.wledDevices)
+        .map(([name, connected]) => `${name}: ${connected ? 'connected' : 'disconnected'}`);
+
+      lines.push(...this.describeLastFailure(failures.filter(f => f.target.startsWith('wled:'))));
+      wledStatus.title = lines.join('\n');
     }
 
     if (haStatus) {
-      haStatus.className = status.homeAssistant ? 'status-indicator status-connected' : 'status-indicator status-disconnected';
+      // With the WebSocket enabled, the indicator follows the live socket state
+      if (this.homeAssistantClient && this.homeAssistantClient.isEnabled()) {
+        const socketState = this.homeAssistantClient.getState();
+        const stateClass = {
+          connected: 'status-connected',
+          connecting: 'status-connecting'
+        }[socketState] || 'status-disconnected';
+
+        haStatus.className = `status-indicator ${stateClass}`;
+        haStatus.title = [
+          `WebSocket: ${socketState.replace('_', ' ')}`,
+          `REST API: ${status.homeAssistant ? 'connected' : 'disconnected'}`,
+          ...this.describeLastFailure(failures.filter(f => f.target === 'homeAssistant'))
+        ].join('\n');
+      } else {
+        haStatus.className = status.homeAssistant ? 'status-indicator status-connected' : 'status-indicator status-disconnected';
+        haStatus.title = this.describeLastFailure(failures.filter(f => f.target === 'homeAssistant')).join('\n');
+      }
     }
   }
 
+  /**
+   * Describe the most recent failed command for a status tooltip
+   * @param {Array<Object>} failures - Failed commands (oldest first)
+   * @returns {Array<string>} Tooltip lines (empty if nothing failed)
+   */
+  describeLastFailure(failures) {
+    if (failures.length === 0) return [];
+
+    const last = failures[failures.length - 1];
+    return [
+      `Failed commands: ${failures.length}`,
+      `Last: ${last.description} (${last.target}) at ${last.time.toLocaleTimeString()} - ${last.reason}`
+    ];
+  }
+
+  /**
+   * Update the per-segment WLED status display
+   */
+  updateLightingStatus() {
+    const container = document.getElementById('lighting-status');
+    if (!container) return;
+
+    const devices = this.lightingController.getWLEDState();
+    const deviceNames = Object.keys(devices);
+
+    container.innerHTML = '';
+
+    // Names come from the config and the devices, so they are set as text
+    const createSpan = (className, text) => {
+      const span = document.createElement('span');
+      span.className = className;
+      span.textContent = text;
+      return span;
+    };
+
+    deviceNames.forEach(name => {
+      const device = devices[name];
+
+      const deviceEl = document.createElement('div');
+      deviceEl.className = 'lighting-device';
+
+      const header = document.createElement('div');
+      header.className = 'lighting-device-header';
+      header.appendChild(createSpan('lighting-device-name', name));
+      header.appendChild(createSpan('lighting-device-state', device.on ? `On · ${device.bri}` : 'Off'));
+      deviceEl.appendChild(header);
+
+      if (device.on) {
+        device.segments.forEach(seg => {
+          const segmentEl = document.createElement('div');
+          segmentEl.className = 'lighting-segment';
+
+          const range = seg.start !== undefined && seg.stop !== undefined ? ` (${seg.start}–${seg.stop})` : '';
+          segmentEl.appendChild(createSpan('lighting-segment-label', `Seg ${seg.id}${range}`));
+
+          (seg.col || [])
+            .filter(color => Array.isArray(color) && color.length >= 3)
+            .forEach(color => {
+              const swatch = createSpan('lighting-swatch', '');
+              swatch.style.backgroundColor = `rgb(${color[0]}, ${color[1]}, ${color[2]})`;
+              segmentEl.appendChild(swatch);
+            });
+
+          const details = [seg.effectName];
+          if (seg.sx !== undefined) details.push(`speed ${seg.sx}`);
+          if (seg.ix !== undefined) details.push(`intensity ${seg.ix}`);
+          if (seg.paletteName) details.push(seg.paletteName);
+
+          segmentEl.appendChild(createSpan('lighting-segment-effect', details.filter(Boolean).join(' · ')));
+          deviceEl.appendChild(segmentEl);
+        });
+      }
+
+      container.appendChild(deviceEl);
+    });
+  }
+
   /**
    * Show loading state
    * @param {boolean} loading - Whether to show loading
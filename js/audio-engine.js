@@ -1,7 +1,14 @@
 /**
  * Audio Engine
  * Manages multiple simultaneous audio tracks (music, ambient, triggers)
- * Supports .m3u playlists and individual audio files
+ * Supports playlists (.m3u, .m3u8, .pls, .xspf) and individual audio files
+ *
+ * All playback is routed through a Web Audio mixing graph:
+ *   source -> per-file gain -> category bus (music/ambient/trigger) -> master bus -> output
+ * Music and ambient buses pass through a duck gain on the way to the master bus,
+ * which lowers them while trigger sounds play. Each category bus can run through
+ * an effects chain (filters, reverb, distortion) before that:
+ *   category bus -> effects -> (duck) -> master bus
  */
 
 class AudioEngine {
@@ -22,30 +29,107 @@ class AudioEngine {
       trigger: []
     };
 
-    // Playlist management
-    this.playlists = {
-      music: null,           // Original playlist array
-      musicShuffled: null,   // Shuffled version of playlist
-      currentIndex: 0,
-      shuffle: false         // Whether shuffle is enabled
+    // Music queue
+    this.queue = {
+      id: 0,                 // Changes whenever the queue is replaced or cleared
+      entries: [],           // Queue entries ({ id, path }) in play order
+      order: [],             // The same entries unshuffled, to return to when shuffle is turned off
+      index: -1,             // Position of the current track in entries
+      shuffle: false,        // Whether shuffle is enabled
+      repeat: configManager.getAudioConfig().musicRepeat || 'all',  // "all", "one" or "off"
+      title: null            // Playlist title from the playlist file
     };
+    this.nextQueueId = 1;
 
-    // Volume levels
+    // Called with getQueue() whenever the queue changes
+    this.onQueueChange = null;
+
+    // Titles and durations read from playlist files: track path -> { title, duration }
+    this.trackInfo = new Map();
+
+    // Volume levels (bus gains)
     this.volumes = {
+      master: configManager.getMasterVolume(),
       music: configManager.getDefaultVolume('music'),
       ambient: configManager.getDefaultVolume('ambient'),
       trigger: configManager.getDefaultVolume('trigger')
     };
 
+    // Web Audio mixing graph (created in initialize)
+    this.context = null;
+    this.buses = {
+      master: null,
+      music: null,
+      ambient: null,
+      trigger: null
+    };
+
+    // Ducking: gain stage after the music/ambient buses, and the trigger sounds holding it down
+    this.duckNodes = {
+      music: null,
+      ambient: null
+    };
+    this.activeDucks = new Map();  // HTMLAudioElement -> ducking settings
+
+    // Effects chains per category bus, and where each chain ends (duck gain or master bus)
+    this.effectChains = {
+      music: [],
+      ambient: [],
+      trigger: []
+    };
+    this.busOutputs = {};
+    this.impulseResponses = new Map();  // Preset name -> generated AudioBuffer
+
+    // Decoded trigger sounds: file path -> { promise, buffer, bytes, lastUsed }
+    this.bufferCache = new Map();
+
+    // Per-element routing: HTMLAudioElement -> { source, gain, panner, pan, level }
+    this.elementNodes = new Map();
+
+    // Pending ambient work: delayed layer starts and random one-shot timers ({ timer, stopped })
+    this.ambientSchedules = [];
+
+    // Second music player: the preloaded next track and tracks still fading out
+    this.nextMusic = null;       // { track, audio }
+    this.outgoingMusic = [];
+
     this.initialized = false;
   }
 
   /**
-   * Initialize the audio engine
+   * Initialize the audio engine and build the mixing graph
    */
   initialize() {
     if (this.initialized) return;
 
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    this.context = new AudioContextClass();
+
+    // Master bus feeds the speakers
+    this.buses.master = this.context.createGain();
+    this.buses.master.gain.value = this.volumes.master;
+    this.buses.master.connect(this.context.destination);
+
+    // Category buses feed the master bus (music and ambient through their duck gain)
+    ['music', 'ambient', 'trigger'].forEach(type => {
+      const bus = this.context.createGain();
+      bus.gain.value = this.volumes[type];
+
+      if (type in this.duckNodes) {
+        const duck = this.context.createGain();
+        duck.gain.value = 1;
+        duck.connect(this.buses.master);
+        this.duckNodes[type] = duck;
+        this.busOutputs[type] = duck;
+      } else {
+        this.busOutputs[type] = this.buses.master;
+      }
+
+      bus.connect(this.busOutputs[type]);
+
+      this.buses[type] = bus;
+    });
+
     // Music element will be created when needed with proper source
     this.audioElements.music = null;
 
@@ -54,452 +138,1706 @@ class AudioEngine {
   }
 
   /**
-   * Create an audio element with proper configuration
+   * Resume the audio context if the browser suspended it (autoplay policy)
+   * @returns {Promise}
+   */
+  async resumeContext() {
+    if (this.context && this.context.state === 'suspended') {
+      try {
+        await this.context.resume();
+      } catch (error) {
+        console.error('Error resuming audio context:', error);
+      }
+    }
+  }
+
+  /**
+   * Get the per-file volume multiplier for a source
+   * @param {string} source - The audio file path
+   * @returns {number} Volume multiplier (1 if not configured)
+   */
+  getFileVolume(source) {
+    if (!source) return 1;
+
+    const fileVolumes = this.configManager.getConfig()?.audio?.fileVolumes || {};
+    if (fileVolumes[source] !== undefined) {
+      return fileVolumes[source];
+    }
+
+    return 1;
+  }
+
+  /**
+   * Create an audio element and connect it to its category bus
    * @param {string} type - The audio type (music, ambient, trigger)
    * @param {string} source - The audio file path (optional, for per-file volume)
+   * @param {Object} options - Optional { volume, pan } (volume multiplies the per-file volume, pan is -1 to 1)
    * @returns {HTMLAudioElement}
    */
-  createAudioElement(type, source = null) {
-    const audio = new Audio();
+  createAudioElement(type, source = null, options = {}) {
+    const audio = new Audio();
+    const remote = this.isRemoteSource(source);
+
+    // Browsers mute cross-origin media in the mixing graph unless it was loaded with CORS
+    if (remote) {
+      audio.crossOrigin = 'anonymous';
+    }
+
+    // Route element -> per-file gain -> (panner) -> category bus
+    const gain = this.context.createGain();
+    const level = this.getFileVolume(source) * (options.volume ?? 1);
+
+    gain.gain.value = level;
+
+    let panner = null;
+    const pan = Math.max(-1, Math.min(1, Number(options.pan) || 0));
+    if (pan !== 0) {
+      panner = this.context.createStereoPanner();
+      panner.pan.value = pan;
+      gain.connect(panner);
+      panner.connect(this.buses[type]);
+    } else {
+      gain.connect(this.buses[type]);
+    }
+
+    this.elementNodes.set(audio, { source: null, gain, panner, pan, level, type, direct: false });
+
+    // A remote element joins the graph once it has loaded with CORS; if the server
+    // doesn't allow that, loading fails and the element plays outside the graph
+    if (remote) {
+      audio.addEventListener('loadedmetadata', () => this.connectElementSource(audio), { once: true });
+      audio.addEventListener('error', () => this.playElementDirect(audio), { once: true });
+    } else {
+      this.connectElementSource(audio);
+    }
+
+    // Music and ambient should loop by default
+    if (type === 'music' || type === 'ambient') {
+      audio.loop = true;
+    }
+
+    return audio;
+  }
+
+  /**
+   * Check if a source is loaded from another server
+   * @param {string} source - The audio file path
+   * @returns {boolean}
+   */
+  isRemoteSource(source) {
+    return typeof source === 'string' && /^https?:\/\//i.test(source);
+  }
+
+  /**
+   * Connect an element to its per-file gain node
+   * @param {HTMLAudioElement} audio - Audio element from createAudioElement()
+   */
+  connectElementSource(audio) {
+    const nodes = this.elementNodes.get(audio);
+    if (!nodes || nodes.source || nodes.direct) return;
+
+    nodes.source = this.context.createMediaElementSource(audio);
+    nodes.source.connect(nodes.gain);
+  }
+
+  /**
+   * Play a remote element outside the mixing graph
+   * Used when its server sends no CORS headers: the element is reloaded without CORS
+   * and plays at its level times the bus and master volume, without effects, fades or ducking
+   * @param {HTMLAudioElement} audio - Audio element that failed to load with CORS
+   */
+  playElementDirect(audio) {
+    const nodes = this.elementNodes.get(audio);
+    if (!nodes || nodes.source || nodes.direct) return;
+
+    const source = audio.src;
+    const wasPlaying = !audio.paused;
+    console.warn(`No CORS access to ${source} - playing it outside the mixer`);
+
+    nodes.direct = true;
+    audio.removeAttribute('crossorigin');
+    audio.volume = this.getDirectVolume(nodes);
+    audio.src = source;
+
+    if (wasPlaying) {
+      audio.play().catch(error => {
+        console.error(`Error playing ${source}:`, error);
+      });
+    }
+  }
+
+  /**
+   * Get the element volume for audio playing outside the mixing graph
+   * @param {Object} nodes - Element nodes from elementNodes
+   * @returns {number} Volume (0-1)
+   */
+  getDirectVolume(nodes) {
+    return Math.min(1, nodes.level * (this.volumes[nodes.type] ?? 1) * this.volumes.master);
+  }
+
+  /**
+   * Update the per-file gain of an element when its source changes
+   * @param {HTMLAudioElement} audio - Audio element
+   * @param {string} source - The new audio file path
+   */
+  setElementSource(audio, source) {
+    audio.src = source;
+
+    const nodes = this.elementNodes.get(audio);
+    if (nodes) {
+      nodes.level = this.getFileVolume(source);
+      nodes.gain.gain.cancelScheduledValues(this.context.currentTime);
+      nodes.gain.gain.setValueAtTime(nodes.level, this.context.currentTime);
+
+      if (nodes.direct) {
+        audio.volume = this.getDirectVolume(nodes);
+      }
+    }
+  }
+
+  /**
+   * Stop an audio element and disconnect it from the mixing graph
+   * @param {HTMLAudioElement} audio - Audio element to release
+   */
+  releaseAudioElement(audio) {
+    if (!audio) return;
+
+    audio.pause();
+    this.endDuck(audio);
+
+    const nodes = this.elementNodes.get(audio);
+    if (nodes) {
+      if (nodes.source) {
+        nodes.source.disconnect();
+      }
+      nodes.gain.disconnect();
+      if (nodes.panner) {
+        nodes.panner.disconnect();
+      }
+      this.elementNodes.delete(audio);
+    }
+  }
+
+  /**
+   * Ramp an AudioParam to a target value, starting from its current value
+   * @param {AudioParam} param - The parameter to ramp (e.g. gain)
+   * @param {number} target - Target value
+   * @param {number} duration - Ramp duration in milliseconds
+   * @param {string} curve - Easing curve (default: linear)
+   */
+  rampGain(param, target, duration, curve = 'linear') {
+    const now = this.context.currentTime;
+
+    param.cancelScheduledValues(now);
+
+    if (duration > 0 && curve !== 'linear') {
+      param.setValueCurveAtTime(Easing.sample(curve, param.value, target), now, duration / 1000);
+    } else if (duration > 0) {
+      param.setValueAtTime(param.value, now);
+      param.linearRampToValueAtTime(target, now + duration / 1000);
+    } else {
+      param.setValueAtTime(target, now);
+    }
+  }
+
+  /**
+   * Load a playlist file and remember its track titles and durations
+   * @param {string} playlistPath - Path to the playlist (.m3u, .m3u8, .pls or .xspf)
+   * @returns {Promise<Object>} { title, tracks: Array<string> } with track paths
+   */
+  async loadPlaylist(playlistPath) {
+    const playlist = await PlaylistParser.load(playlistPath);
+
+    playlist.tracks.forEach(track => {
+      this.trackInfo.set(track.path, { title: track.title, duration: track.duration });
+    });
+
+    return {
+      title: playlist.title,
+      tracks: playlist.tracks.map(track => track.path)
+    };
+  }
+
+  /**
+   * Shuffle an array (Fisher-Yates algorithm)
+   * @param {Array} array - Array to shuffle
+   * @returns {Array} Shuffled copy of the array
+   */
+  shuffleArray(array) {
+    const shuffled = [...array];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+  }
+
+  /**
+   * Load and play music track or playlist
+   * Replaces the queue with the new tracks
+   * @param {string|Array} source - Path to audio file, playlist (.m3u, .m3u8, .pls, .xspf), or array of tracks
+   * @param {boolean} loop - Keep a single file looping until more tracks are queued (default: true)
+   * @param {boolean} shuffle - Whether to shuffle playlist (default: false)
+   * @param {number} fadeInDuration - Fade-in in milliseconds (uses `audio.fadeIn.music` if not specified)
+   */
+  async playMusic(source, loop = true, shuffle = false, fadeInDuration = null) {
+    if (!source) return;
+
+    await this.stopMusic();
+    await this.resumeContext();
+
+    const fadeIn = fadeInDuration ?? this.getFadeInDuration('music');
+    const singleFile = !Array.isArray(source) && !PlaylistParser.isPlaylist(source);
+
+    let tracks = source;
+    let title = null;
+
+    if (singleFile) {
+      tracks = [source];
+    } else if (!Array.isArray(source)) {
+      ({ title, tracks } = await this.loadPlaylist(source));
+    }
+
+    if (tracks.length === 0) {
+      console.error('No tracks in playlist');
+      return;
+    }
+
+    this.setQueue(tracks, shuffle, title);
+
+    const track = this.queue.entries[0].path;
+    const playing = this.switchMusicTrack(track, fadeIn);
+
+    // The repeat mode handles everything else; an explicit loop keeps one file going
+    if (singleFile) {
+      this.audioElements.music.loop = loop;
+    }
+
+    this.notifyQueueChange();
+    await playing;
+
+    console.log(`Playing music: ${singleFile ? track : source} (${tracks.length} track${tracks.length !== 1 ? 's' : ''}, shuffle: ${shuffle})`);
+  }
+
+  /**
+   * Replace the queue
+   * @param {Array<string>} tracks - Track paths
+   * @param {boolean} shuffle - Whether to shuffle the play order
+   * @param {string} title - Playlist title (if any)
+   */
+  setQueue(tracks, shuffle, title = null) {
+    const entries = this.createQueueEntries(tracks);
+
+    this.queue.id++;
+    this.queue.order = entries;
+    this.queue.entries = shuffle ? this.shuffleArray(entries) : [...entries];
+    this.queue.index = 0;
+    this.queue.shuffle = shuffle;
+    this.queue.title = title;
+  }
+
+  /**
+   * Wrap track paths in queue entries
+   * Entries get their own ids, so the same track can be queued more than once
+   * @param {Array<string>} tracks - Track paths
+   * @returns {Array<Object>} Entries ({ id, path })
+   */
+  createQueueEntries(tracks) {
+    return tracks.map(path => ({ id: this.nextQueueId++, path }));
+  }
+
+  /**
+   * Get the crossfade between consecutive playlist tracks
+   * @returns {number} Milliseconds (0 = play back to back)
+   */
+  getMusicCrossfade() {
+    return this.configManager.getConfig()?.audio?.musicCrossfade || 0;
+  }
+
+  /**
+   * Get the fade used when skipping tracks manually
+   * @returns {number} Milliseconds
+   */
+  getSkipFadeDuration() {
+    const audio = this.configManager.getConfig()?.audio || {};
+    return audio.skipFadeDuration ?? (audio.musicCrossfade || 1000);
+  }
+
+  /**
+   * Get the queue position of the track after the current one
+   * Repeat-one only holds on the current track when it ends by itself; skipping moves on
+   * @param {boolean} manual - Whether the user skipped (default: false)
+   * @returns {number} Index into the queue (-1 = end of the queue)
+   */
+  getNextQueueIndex(manual = false) {
+    const { entries, index, repeat } = this.queue;
+
+    if (entries.length === 0) return -1;
+
+    if (repeat === 'one' && !manual) {
+      return index;
+    }
+
+    if (index + 1 < entries.length) {
+      return index + 1;
+    }
+
+    return repeat === 'off' ? -1 : 0;
+  }
+
+  /**
+   * Switch the music player to another track
+   * The new track plays on a second element, so the old one can fade out underneath it
+   * @param {string} track - Track path
+   * @param {number} fadeDuration - Crossfade (or fade-in, when nothing is playing) in milliseconds (0 = cut)
+   */
+  async switchMusicTrack(track, fadeDuration = 0) {
+    const previous = this.audioElements.music;
+
+    // Use the preloaded element if it holds this track
+    let audio;
+    if (this.nextMusic && this.nextMusic.track === track) {
+      audio = this.nextMusic.audio;
+      this.nextMusic = null;
+    } else {
+      this.discardPreloadedTrack();
+      audio = this.createAudioElement('music', track);
+      this.setElementSource(audio, track);
+    }
+
+    audio.loop = false; // We'll handle looping manually
+
+    // Set up queue handling
+    audio.addEventListener('ended', () => {
+      if (audio === this.audioElements.music) {
+        this.playNextInPlaylist();
+      }
+    });
+    audio.addEventListener('timeupdate', () => this.handleMusicTimeUpdate(audio));
+
+    this.audioElements.music = audio;
+    this.tracks.music = track;
+
+    this.fadeIn(audio, fadeDuration);
+
+    if (previous) {
+      if (fadeDuration > 0 && !previous.paused) {
+        this.outgoingMusic.push(previous);
+        this.fadeOut(previous, fadeDuration).then(() => {
+          this.outgoingMusic = this.outgoingMusic.filter(a => a !== previous);
+          this.releaseAudioElement(previous);
+        });
+      } else {
+        this.releaseAudioElement(previous);
+      }
+    }
+
+    try {
+      await audio.play();
+    } catch (error) {
+      console.error('Error playing music:', error);
+    }
+  }
+
+  /**
+   * Preload the next queued track and start crossfades as the current track ends
+   * @param {HTMLAudioElement} audio - The element reporting progress
+   */
+  handleMusicTimeUpdate(audio) {
+    if (audio !== this.audioElements.music || audio.loop || audio.paused) return;
+
+    // Stop-at-end: the last track just plays out
+    if (this.getNextQueueIndex() === -1) return;
+
+    const remaining = audio.duration - audio.currentTime;
+    if (!isFinite(remaining)) return;
+
+    // Never let the crossfade take more than half of a short track
+    const crossfade = Math.min(this.getMusicCrossfade(), audio.duration * 500);
+
+    // Load the next track ahead of time so it starts without a gap
+    if (!this.nextMusic && remaining <= crossfade / 1000 + 10) {
+      this.preloadNextTrack();
+    }
+
+    if (crossfade > 0 && remaining <= crossfade / 1000) {
+      this.playNextInPlaylist(crossfade);
+    }
+  }
+
+  /**
+   * Buffer the next queued track on the second player
+   */
+  preloadNextTrack() {
+    const next = this.getNextQueueIndex();
+    if (next === -1) return;
+
+    const track = this.queue.entries[next].path;
+
+    const audio = this.createAudioElement('music', track);
+    audio.preload = 'auto';
+    this.setElementSource(audio, track);
+
+    this.nextMusic = { track, audio };
+    console.log(`Preloading next track: ${track}`);
+  }
+
+  /**
+   * Drop the preloaded next track
+   */
+  discardPreloadedTrack() {
+    if (this.nextMusic) {
+      this.releaseAudioElement(this.nextMusic.audio);
+      this.nextMusic = null;
+    }
+  }
+
+  /**
+   * Drop the preloaded track if the queue no longer plays it next
+   */
+  refreshPreloadedTrack() {
+    if (!this.nextMusic) return;
+
+    const next = this.getNextQueueIndex();
+    if (next === -1 || this.queue.entries[next].path !== this.nextMusic.track) {
+      this.discardPreloadedTrack();
+    }
+  }
+
+  /**
+   * Play the track at a queue position
+   * @param {number} index - Index into the queue
+   * @param {number} fadeDuration - Crossfade in milliseconds (0 = cut)
+   * @returns {Promise} Resolves once the track has started
+   */
+  playQueueIndex(index, fadeDuration = 0) {
+    const track = this.queue.entries[index].path;
+
+    this.queue.index = index;
+    const playing = this.switchMusicTrack(track, fadeDuration);
+    this.notifyQueueChange();
+
+    console.log(`Now playing: ${track}`);
+    return playing;
+  }
+
+  /**
+   * Play next track in the queue, following the repeat mode
+   * @param {number} fadeDuration - Crossfade in milliseconds (0 = back to back)
+   */
+  playNextInPlaylist(fadeDuration = 0) {
+    if (this.queue.entries.length === 0) return;
+
+    const next = this.getNextQueueIndex();
+    if (next === -1) {
+      console.log('Reached the end of the queue');
+      this.stopMusic(0);
+      return;
+    }
+
+    this.playQueueIndex(next, fadeDuration);
+  }
+
+  /**
+   * Skip to next track (manual skip)
+   */
+  skipNext() {
+    if (this.queue.entries.length === 0) {
+      console.log('Queue is empty');
+      return;
+    }
+
+    const next = this.getNextQueueIndex(true);
+    if (next === -1) {
+      console.log('Already at the end of the queue');
+      return;
+    }
+
+    console.log('Skipping to next track');
+    this.playQueueIndex(next, this.getSkipFadeDuration());
+  }
+
+  /**
+   * Skip to previous track
+   * Wraps around to the end of the queue unless repeat is off
+   */
+  skipPrevious() {
+    const { entries, index, repeat } = this.queue;
+
+    if (entries.length === 0) {
+      console.log('Queue is empty');
+      return;
+    }
+
+    let previous = index - 1;
+    if (previous < 0) {
+      previous = repeat === 'off' ? 0 : entries.length - 1;
+    }
+
+    this.playQueueIndex(previous, this.getSkipFadeDuration());
+  }
+
+  /**
+   * Add tracks to the queue without interrupting the current one
+   * Starts playback when nothing is playing
+   * @param {string|Array} source - Track path, playlist file or array of tracks
+   * @param {string} position - "next" (after the current track) or "end" (default: "end")
+   */
+  async enqueue(source, position = 'end') {
+    if (!source || (Array.isArray(source) && source.length === 0)) return;
+
+    if (!this.audioElements.music) {
+      await this.playMusic(source, false, this.queue.shuffle);
+      return;
+    }
+
+    let tracks = Array.isArray(source) ? source : [source];
+    if (!Array.isArray(source) && PlaylistParser.isPlaylist(source)) {
+      ({ tracks } = await this.loadPlaylist(source));
+    }
+
+    const entries = this.createQueueEntries(tracks);
+    const { queue } = this;
+
+    if (position === 'next') {
+      const current = queue.entries[queue.index];
+      queue.entries.splice(queue.index + 1, 0, ...entries);
+      queue.order.splice(queue.order.indexOf(current) + 1, 0, ...entries);
+    } else {
+      queue.entries.push(...entries);
+      queue.order.push(...entries);
+    }
+
+    // A looping single file hands over to the queue
+    this.audioElements.music.loop = false;
+
+    this.refreshPreloadedTrack();
+    this.notifyQueueChange();
+
+    console.log(`Queued ${entries.length} track${entries.length !== 1 ? 's' : ''} (${position === 'next' ? 'play next' : 'end of queue'})`);
+  }
+
+  /**
+   * Move an upcoming queue entry
+   * Tracks that have already played (and the current one) stay where they are
+   * @param {number} id - Queue entry id
+   * @param {number} position - New index into the queue
+   * @returns {boolean} Whether the entry moved
+   */
+  moveQueueEntry(id, position) {
+    const { queue } = this;
+    const from = queue.entries.findIndex(entry => entry.id === id);
+    if (from <= queue.index) return false;
+
+    const to = Math.max(queue.index + 1, Math.min(position, queue.entries.length - 1));
+    if (to === from) return false;
+
+    const [entry] = queue.entries.splice(from, 1);
+    queue.entries.splice(to, 0, entry);
+
+    // Without shuffle the play order is the order to return to
+    if (!queue.shuffle) {
+      queue.order = [...queue.entries];
+    }
+
+    this.refreshPreloadedTrack();
+    this.notifyQueueChange();
+    return true;
+  }
+
+  /**
+   * Remove an entry from the queue (not the current track)
+   * @param {number} id - Queue entry id
+   * @returns {boolean} Whether the entry was removed
+   */
+  removeQueueEntry(id) {
+    const { queue } = this;
+    const index = queue.entries.findIndex(entry => entry.id === id);
+    if (index === -1 || index === queue.index) return false;
+
+    queue.entries.splice(index, 1);
+    queue.order = queue.order.filter(entry => entry.id !== id);
+
+    if (index < queue.index) {
+      queue.index--;
+    }
+
+    this.refreshPreloadedTrack();
+    this.notifyQueueChange();
+    return true;
+  }
+
+  /**
+   * Jump to a queue entry
+   * @param {number} id - Queue entry id
+   */
+  playQueueEntry(id) {
+    const index = this.queue.entries.findIndex(entry => entry.id === id);
+    if (index === -1) return;
+
+    this.playQueueIndex(index, this.getSkipFadeDuration());
+  }
+
+  /**
+   * Turn shuffle on or off without restarting the current track
+   * Turning it on shuffles everything else to play after the current track;
+   * turning it off returns to the original order from the current track
+   * @param {boolean} enabled - Whether to shuffle
+   */
+  setShuffle(enabled) {
+    const { queue } = this;
+    enabled = !!enabled;
+    if (queue.shuffle === enabled) return;
+
+    const current = queue.entries[queue.index];
+
+    if (enabled) {
+      const rest = this.shuffleArray(queue.order.filter(entry => entry !== current));
+      queue.entries = current ? [current, ...rest] : rest;
+      queue.index = current ? 0 : -1;
+    } else {
+      queue.entries = [...queue.order];
+      queue.index = queue.order.indexOf(current);
+    }
+
+    queue.shuffle = enabled;
+
+    this.refreshPreloadedTrack();
+    this.notifyQueueChange();
+    console.log(`Shuffle ${enabled ? 'on' : 'off'}`);
+  }
+
+  /**
+   * Set what happens at the end of a track
+   * @param {string} mode - "all" (repeat the queue), "one" (repeat the track) or "off" (stop at the end)
+   */
+  setRepeatMode(mode) {
+    if (!['all', 'one', 'off'].includes(mode)) {
+      console.warn(`Unknown repeat mode: ${mode}`);
+      return;
+    }
+
+    this.queue.repeat = mode;
+
+    this.refreshPreloadedTrack();
+    this.notifyQueueChange();
+    console.log(`Repeat mode: ${mode}`);
+  }
+
+  /**
+   * Get a display title for a track
+   * @param {string} track - Track path
+   * @returns {string} Title from the playlist file, or the file name
+   */
+  getTrackTitle(track) {
+    return this.trackInfo.get(track)?.title || track.split('/').pop();
+  }
+
+  /**
+   * Get the queue
+   * @returns {Object} { id, entries: [{ id, path, title }], index, shuffle, repeat, title }
+   */
+  getQueue() {
+    const { queue } = this;
+
+    return {
+      id: queue.id,
+      entries: queue.entries.map(entry => ({
+        id: entry.id,
+        path: entry.path,
+        title: this.getTrackTitle(entry.path)
+      })),
+      index: queue.index,
+      shuffle: queue.shuffle,
+      repeat: queue.repeat,
+      title: queue.title
+    };
+  }
+
+  /**
+   * Tell the UI the queue changed
+   */
+  notifyQueueChange() {
+    if (this.onQueueChange) {
+      this.onQueueChange(this.getQueue());
+    }
+  }
+
+  /**
+   * Get current track information
+   * @returns {Object|null} Current track info
+   */
+  getCurrentTrack() {
+    if (!this.audioElements.music || !this.tracks.music) {
+      return null;
+    }
+
+    const { queue } = this;
+    const info = this.trackInfo.get(this.tracks.music) || {};
+    const duration = this.audioElements.music.duration;
+
+    return {
+      path: this.tracks.music,
+      // Prefer the title from the playlist file over the file name
+      name: this.getTrackTitle(this.tracks.music),
+      isPlaying: !this.audioElements.music.paused,
+      isPaused: this.audioElements.music.paused,
+      currentTime: this.audioElements.music.currentTime,
+      duration: isFinite(duration) ? duration : (info.duration || 0),
+      isPlaylist: queue.entries.length > 1,
+      playlistTitle: queue.title,
+      playlistLength: queue.entries.length,
+      currentIndex: queue.index,
+      shuffle: queue.shuffle,
+      repeat: queue.repeat
+    };
+  }
+
+  /**
+   * Capture the music queue and position, so it can be put back later
+   * @returns {Object|null} Snapshot, or null if no music is playing
+   */
+  getMusicSnapshot() {
+    const audio = this.audioElements.music;
+    if (!audio) return null;
+
+    const { queue } = this;
+
+    return {
+      entries: [...queue.entries],
+      order: [...queue.order],
+      index: queue.index,
+      shuffle: queue.shuffle,
+      title: queue.title,
+      time: audio.currentTime,
+      loop: audio.loop,
+      paused: audio.paused
+    };
+  }
+
+  /**
+   * Replace the music with a snapshot from getMusicSnapshot
+   * The track picks up where it was captured
+   * @param {Object|null} snapshot - Snapshot (null stops the music)
+   * @param {number} fadeInDuration - Fade-in in milliseconds (uses `audio.fadeIn.music` if not specified)
+   */
+  async restoreMusicSnapshot(snapshot, fadeInDuration = null) {
+    await this.stopMusic();
+    if (!snapshot) return;
+
+    await this.resumeContext();
+
+    const { queue } = this;
+    queue.id++;
+    queue.entries = [...snapshot.entries];
+    queue.order = [...snapshot.order];
+    queue.index = snapshot.index;
+    queue.shuffle = snapshot.shuffle;
+    queue.title = snapshot.title;
+
+    const track = queue.entries[queue.index].path;
+    const playing = this.switchMusicTrack(track, fadeInDuration ?? this.getFadeInDuration('music'));
+
+    const audio = this.audioElements.music;
+    audio.currentTime = snapshot.time;
+    audio.loop = snapshot.loop;
+
+    this.notifyQueueChange();
+    await playing;
+
+    if (snapshot.paused) {
+      audio.pause();
+    }
+
+    console.log(`Restored music: ${track} at ${snapshot.time.toFixed(1)}s`);
+  }
+
+  /**
+   * Pause music playback
+   */
+  pauseMusic() {
+    // A track that was fading out shouldn't come back on resume
+    this.outgoingMusic.forEach(audio => this.releaseAudioElement(audio));
+    this.outgoingMusic = [];
+
+    if (this.audioElements.music && !this.audioElements.music.paused) {
+      this.audioElements.music.pause();
+      console.log('Music paused');
+    }
+  }
+
+  /**
+   * Resume music playback
+   */
+  resumeMusic() {
+    if (this.audioElements.music && this.audioElements.music.paused) {
+      this.audioElements.music.play().catch(error => {
+        console.error('Error resuming music:', error);
+      });
+      console.log('Music resumed');
+    }
+  }
+
+  /**
+   * Seek to a specific time in the current track
+   * @param {number} time - Time in seconds
+   */
+  seekMusic(time) {
+    if (this.audioElements.music) {
+      this.audioElements.music.currentTime = time;
+      console.log(`Seeked to ${time.toFixed(2)}s`);
+    }
+  }
+
+  /**
+   * Stop music playback with fade-out
+   * Clears the queue; the shuffle and repeat settings stay
+   * @param {number} fadeDuration - Fade duration in milliseconds (uses config if not specified)
+   */
+  async stopMusic(fadeDuration = null) {
+    // Use config fade duration if not specified
+    if (fadeDuration === null) {
+      fadeDuration = this.configManager.getConfig()?.audio?.fadeDuration || 1000;
+    }
+
+    this.discardPreloadedTrack();
+
+    const hadQueue = this.queue.entries.length > 0;
+    if (hadQueue) {
+      this.queue.id++;
+    }
+    this.queue.entries = [];
+    this.queue.order = [];
+    this.queue.index = -1;
+    this.queue.title = null;
+
+    if (hadQueue) {
+      this.notifyQueueChange();
+    }
+
+    if (this.audioElements.music) {
+      const music = this.audioElements.music;
+      this.audioElements.music = null;
+
+      // Tracks still crossfading out go with it
+      const outgoing = this.outgoingMusic;
+      this.outgoingMusic = [];
+
+      await Promise.all([music, ...outgoing].map(audio => this.fadeOut(audio, fadeDuration)));
+      [music, ...outgoing].forEach(audio => this.releaseAudioElement(audio));
+    }
+    this.tracks.music = null;
+  }
+
+  /**
+   * Play ambient sound(s)
+   * @param {string|Object|Array} sources - Ambient layer(s): file paths or layer objects (see getAmbientLayers)
+   * @param {number} fadeInDuration - Fade-in in milliseconds for layers without their own (uses `audio.fadeIn.ambient` if not specified)
+   */
+  async playAmbient(sources, fadeInDuration = null) {
+    await this.stopAmbient();
+
+    if (!sources) return;
+
+    await this.resumeContext();
+
+    const defaultFadeIn = fadeInDuration ?? this.getFadeInDuration('ambient');
+
+    // Create and play audio elements for each ambient layer
+    for (const layer of this.getAmbientLayers(sources)) {
+      await this.startAmbientLayer(layer, layer.fadeIn ?? defaultFadeIn);
+    }
+  }
+
+  /**
+   * Crossfade from the current ambient layers to a new set
+   * Looping layers in both sets keep playing; the rest fade out while the new ones fade in.
+   * Returns once the new layers have started; outgoing layers finish fading in the background
+   * @param {string|Object|Array} sources - New ambient layer(s)
+   * @param {number} duration - Crossfade duration in milliseconds
+   * @param {string} curve - Easing curve (default: linear)
+   */
+  async crossfadeAmbient(sources, duration, curve = 'linear') {
+    await this.resumeContext();
+
+    const outgoing = this.audioElements.ambient;
+    const outgoingTracks = this.tracks.ambient;
+    this.audioElements.ambient = [];
+    this.tracks.ambient = [];
+
+    // Old one-shot pools and delayed starts end here
+    this.stopAmbientSchedules();
+
+    for (const layer of this.getAmbientLayers(sources)) {
+      // Carry over a matching looping layer instead of restarting it
+      const index = this.findCarryOverLayer(layer, outgoing, outgoingTracks);
+      if (index !== -1) {
+        const audio = outgoing.splice(index, 1)[0];
+        outgoingTracks.splice(index, 1);
+
+        const nodes = this.elementNodes.get(audio);
+        nodes.level = this.getFileVolume(layer.file) * (layer.volume ?? 1);
+        this.rampGain(nodes.gain.gain, nodes.level, duration, curve);
+
+        this.audioElements.ambient.push(audio);
+        this.tracks.ambient.push(layer.file);
+        continue;
+      }
+
+      await this.startAmbientLayer(layer, duration, curve);
+    }
+
+    outgoing.forEach(audio => {
+      this.fadeOut(audio, duration, curve).then(() => this.releaseAudioElement(audio));
+    });
+  }
+
+  /**
+   * Find a playing element that can continue as the given layer
+   * @param {Object} layer - Incoming layer
+   * @param {Array<HTMLAudioElement>} elements - Outgoing elements
+   * @param {Array<string>} tracks - Outgoing element sources
+   * @returns {number} Index into elements, or -1
+   */
+  findCarryOverLayer(layer, elements, tracks) {
+    if (layer.pool || layer.loop === false || layer.delay > 0) return -1;
+
+    return elements.findIndex((audio, index) => {
+      const nodes = this.elementNodes.get(audio);
+      return tracks[index] === layer.file && audio.loop && nodes &&
+        nodes.pan === Math.max(-1, Math.min(1, Number(layer.pan) || 0));
+    });
+  }
+
+  /**
+   * Normalize ambient layers to objects
+   * Each layer is a file path or an object:
+   *   { file, volume, pan, offset, delay, loop, fadeIn } - a file, looping by default
+   *   { pool, minInterval, maxInterval, volume, pan, delay } - random one-shots from a pool
+   * @param {string|Object|Array} sources - Ambient layer(s)
+   * @returns {Array<Object>} Layer objects
+   */
+  getAmbientLayers(sources) {
+    if (!sources) return [];
+
+    const layers = Array.isArray(sources) ? sources : [sources];
+    return layers.map(layer => (typeof layer === 'string' ? { file: layer } : layer));
+  }
+
+  /**
+   * Start one ambient layer
+   * @param {Object} layer - Layer object
+   * @param {number} fadeInDuration - Fade-in in milliseconds
+   * @param {string} curve - Easing curve (default: linear)
+   */
+  async startAmbientLayer(layer, fadeInDuration = 0, curve = 'linear') {
+    if (layer.pool) {
+      this.startOneShotLayer(layer);
+      return;
+    }
+
+    const source = layer.file;
+    const audio = this.createAudioElement('ambient', source, layer);
+    audio.src = source;
+    audio.loop = layer.loop !== false;
+
+    // Start partway into the file; "random" keeps identical loops from lining up
+    if (layer.offset === 'random') {
+      audio.addEventListener('loadedmetadata', () => {
+        audio.currentTime = Math.random() * audio.duration;
+      }, { once: true });
+    } else if (layer.offset > 0) {
+      audio.currentTime = layer.offset;
+    }
+
+    // Layers that play once leave when they finish
+    if (!audio.loop) {
+      audio.addEventListener('ended', () => this.removeAmbientElement(audio));
+    }
+
+    this.audioElements.ambient.push(audio);
+    this.tracks.ambient.push(source);
+
+    if (layer.delay > 0) {
+      this.scheduleAmbient(layer.delay, () => this.playAmbientElement(audio, source, fadeInDuration, curve));
+      return;
+    }
+
+    await this.playAmbientElement(audio, source, fadeInDuration, curve);
+  }
+
+  /**
+   * Start a prepared ambient element, unless it was stopped in the meantime
+   * @param {HTMLAudioElement} audio - Audio element
+   * @param {string} source - The audio file path (for logging)
+   * @param {number} fadeInDuration - Fade-in in milliseconds
+   * @param {string} curve - Easing curve
+   */
+  async playAmbientElement(audio, source, fadeInDuration, curve) {
+    if (!this.elementNodes.has(audio)) return;
+
+    this.fadeIn(audio, fadeInDuration, curve);
+
+    try {
+      await audio.play();
+      console.log(`Playing ambient: ${source}`);
+    } catch (error) {
+      console.error(`Error playing ambient sound ${source}:`, error);
+    }
+  }
+
+  /**
+   * Play random sounds from a pool at random intervals (crows, distant howls, creaks)
+   * @param {Object} layer - { pool, minInterval, maxInterval, volume, pan, delay }; pan may be "random"
+   */
+  startOneShotLayer(layer) {
+    const pool = layer.pool;
+    if (!Array.isArray(pool) || pool.length === 0) {
+      console.error('Ambient one-shot layer needs a non-empty pool');
+      return;
+    }
+
+    const minInterval = layer.minInterval ?? 15000;
+    const maxInterval = layer.maxInterval ?? 60000;
+    const schedule = { timer: null, stopped: false };
+
+    const scheduleNext = (delay) => {
+      this.scheduleAmbient(delay ?? minInterval + Math.random() * (maxInterval - minInterval), playOne, schedule);
+    };
+
+    const playOne = () => {
+      scheduleNext();
+
+      const source = pool[Math.floor(Math.random() * pool.length)];
+      const pan = layer.pan === 'random' ? Math.random() * 2 - 1 : layer.pan;
+
+      const audio = this.createAudioElement('ambient', source, { volume: layer.volume, pan });
+      audio.src = source;
+      audio.loop = false;
+      audio.addEventListener('ended', () => this.removeAmbientElement(audio));
+
+      this.audioElements.ambient.push(audio);
+      this.tracks.ambient.push(source);
+
+      audio.play().then(() => {
+        console.log(`Playing ambient one-shot: ${source}`);
+      }).catch(error => {
+        console.error(`Error playing ambient sound ${source}:`, error);
+      });
+    };
+
+    console.log(`Ambient one-shot pool started (${pool.length} sounds)`);
+    scheduleNext(layer.delay);
+  }
+
+  /**
+   * Run a callback after a delay, unless ambient playback stops first
+   * @param {number} delay - Milliseconds
+   * @param {Function} callback - Called when the timer fires
+   * @param {Object} schedule - Existing schedule to reuse (for repeating timers)
+   * @returns {Object} The schedule ({ timer, stopped })
+   */
+  scheduleAmbient(delay, callback, schedule = { timer: null, stopped: false }) {
+    if (!this.ambientSchedules.includes(schedule)) {
+      this.ambientSchedules.push(schedule);
+    }
+
+    schedule.timer = setTimeout(() => {
+      this.ambientSchedules = this.ambientSchedules.filter(s => s !== schedule);
+      if (!schedule.stopped) {
+        callback();
+      }
+    }, delay);
+
+    return schedule;
+  }
+
+  /**
+   * Cancel delayed layer starts and one-shot timers
+   */
+  stopAmbientSchedules() {
+    this.ambientSchedules.forEach(schedule => {
+      schedule.stopped = true;
+      clearTimeout(schedule.timer);
+    });
+    this.ambientSchedules = [];
+  }
+
+  /**
+   * Remove a finished ambient element
+   * @param {HTMLAudioElement} audio - Audio element
+   */
+  removeAmbientElement(audio) {
+    const index = this.audioElements.ambient.indexOf(audio);
+    if (index > -1) {
+      this.audioElements.ambient.splice(index, 1);
+      this.tracks.ambient.splice(index, 1);
+    }
+    this.releaseAudioElement(audio);
+  }
+
+  /**
+   * Get the default fade-in for a category
+   * @param {string} type - The audio type (music, ambient, trigger)
+   * @returns {number} Milliseconds (0 = start at full volume)
+   */
+  getFadeInDuration(type) {
+    return this.configManager.getConfig()?.audio?.fadeIn?.[type] || 0;
+  }
+
+  /**
+   * Start an element silent and ramp its per-file gain up to its level
+   * Call before play() so the first samples are already silent
+   * @param {HTMLAudioElement} audio - Audio element
+   * @param {number} duration - Fade duration in milliseconds (0 = no fade)
+   * @param {string} curve - Easing curve (default: linear)
+   */
+  fadeIn(audio, duration, curve = 'linear') {
+    const nodes = this.elementNodes.get(audio);
+    if (!nodes || !(duration > 0)) return;
+
+    nodes.gain.gain.value = 0;
+    this.rampGain(nodes.gain.gain, nodes.level, duration, curve);
+  }
+
+  /**
+   * Fade out audio element using a gain ramp on its per-file gain node
+   * @param {HTMLAudioElement} audio - Audio element to fade out
+   * @param {number} duration - Fade duration in milliseconds
+   * @param {string} curve - Easing curve (default: linear)
+   * @returns {Promise}
+   */
+  fadeOut(audio, duration = 1000, curve = 'linear') {
+    return new Promise((resolve) => {
+      if (!audio || audio.paused) {
+        resolve();
+        return;
+      }
+
+      const nodes = this.elementNodes.get(audio);
+      if (!nodes) {
+        audio.pause();
+        audio.currentTime = 0;
+        resolve();
+        return;
+      }
+
+      this.rampGain(nodes.gain.gain, 0, duration, curve);
+
+      setTimeout(() => {
+        audio.pause();
+        audio.currentTime = 0;
+
+        // Reset gain for future use
+        nodes.gain.gain.cancelScheduledValues(this.context.currentTime);
+        nodes.gain.gain.setValueAtTime(nodes.level, this.context.currentTime);
+        resolve();
+      }, duration);
+    });
+  }
+
+  /**
+   * Stop all ambient sounds with fade-out
+   * @param {number} fadeDuration - Fade duration in milliseconds (uses config if not specified)
+   */
+  async stopAmbient(fadeDuration = null) {
+    // Use config fade duration if not specified
+    if (fadeDuration === null) {
+      fadeDuration = this.configManager.getConfig()?.audio?.fadeDuration || 1000;
+    }
+
+    this.stopAmbientSchedules();
+
+    const elements = this.audioElements.ambient;
+    this.audioElements.ambient = [];
+    this.tracks.ambient = [];
+
+    // Fade out all ambient tracks simultaneously
+    const fadePromises = elements.map(audio =>
+      this.fadeOut(audio, fadeDuration)
+    );
+
+    await Promise.all(fadePromises);
+
+    elements.forEach(audio => this.releaseAudioElement(audio));
+  }
+
+  /**
+   * Play a trigger sound effect
+   * @param {string} source - Path to trigger audio file
+   * @param {number} fadeInDuration - Fade-in in milliseconds (uses `audio.fadeIn.trigger` if not specified)
+   * @param {boolean|Object} ducking - Ducking override for this sound (see getDuckingSettings)
+   * @returns {Promise<HTMLAudioElement>} The audio element
+   */
+  async playTrigger(source, fadeInDuration = null, ducking = null) {
+    if (!source) return null;
+
+    await this.resumeContext();
 
-    // Apply base category volume
-    let volume = this.volumes[type];
+    // Decoded sounds start instantly; others stream this time and are cached for next time
+    const buffer = this.getCachedBuffer(source);
+    let audio;
+    if (buffer) {
+      audio = this.createBufferPlayer('trigger', source, buffer);
+    } else {
+      audio = this.createAudioElement('trigger', source);
+      audio.src = source;
 
-    // Apply per-file volume adjustment if configured
-    if (source) {
-      const fileVolumes = this.configManager.getConfig()?.audio?.fileVolumes || {};
-      if (fileVolumes[source] !== undefined) {
-        volume *= fileVolumes[source];
-        console.log(`Applied file volume for ${source}: ${fileVolumes[source]} (final: ${volume.toFixed(2)})`);
+      if (this.configManager.getTriggerCacheConfig().preload !== 'off') {
+        this.loadBuffer(source);
       }
     }
+    this.fadeIn(audio, fadeInDuration ?? this.getFadeInDuration('trigger'));
 
-    audio.volume = Math.min(1, volume);
-
-    // Music and ambient should loop by default
-    if (type === 'music' || type === 'ambient') {
-      audio.loop = true;
-    }
+    // Remove from tracking and the mixing graph when finished
+    audio.addEventListener('ended', () => {
+      const index = this.audioElements.trigger.indexOf(audio);
+      if (index > -1) {
+        this.audioElements.trigger.splice(index, 1);
+        this.tracks.trigger.splice(index, 1);
+      }
+      this.releaseAudioElement(audio);
+    });
 
-    return audio;
-  }
+    this.audioElements.trigger.push(audio);
+    this.tracks.trigger.push(source);
 
-  /**
-   * Parse .m3u playlist file
-   * @param {string} playlistPath - Path to the .m3u file
-   * @returns {Promise<Array<string>>} Array of track paths
-   */
-  async parseM3U(playlistPath) {
     try {
-      const response = await fetch(playlistPath);
-      if (!response.ok) {
-        throw new Error(`Failed to load playlist: ${response.statusText}`);
-      }
+      await audio.play();
+      console.log(`Playing trigger: ${source}`);
 
-      const content = await response.text();
-      const lines = content.split('\n');
-      const tracks = [];
+      const duckSettings = this.getDuckingSettings(ducking);
+      if (duckSettings && this.elementNodes.has(audio)) {
+        this.startDuck(audio, duckSettings);
+      }
 
-      for (let line of lines) {
-        line = line.trim();
+      return audio;
+    } catch (error) {
+      console.error(`Error playing trigger sound ${source}:`, error);
+      return null;
+    }
+  }
 
-        // Skip empty lines and comments (except #EXTM3U header)
-        if (!line || line.startsWith('#')) {
-          continue;
+  /**
+   * Create a player for a decoded buffer that behaves like an audio element
+   * (play, pause, paused, currentTime and the "ended" event), so trigger tracking,
+   * fades and ducking treat both the same way
+   * @param {string} type - The audio type (bus)
+   * @param {string} source - The audio file path (for per-file volume)
+   * @param {AudioBuffer} buffer - Decoded audio
+   * @returns {Object} Player
+   */
+  createBufferPlayer(type, source, buffer) {
+    const gain = this.context.createGain();
+    const level = this.getFileVolume(source);
+    gain.gain.value = level;
+    gain.connect(this.buses[type]);
+
+    const node = this.context.createBufferSource();
+    node.buffer = buffer;
+    node.connect(gain);
+
+    const endedListeners = [];
+    let stopped = false;
+
+    const player = {
+      paused: true,
+      currentTime: 0,
+      duration: buffer.duration,
+      play: () => {
+        if (player.paused && !stopped) {
+          node.start();
+          player.paused = false;
         }
+        return Promise.resolve();
+      },
+      pause: () => {
+        if (player.paused) return;
 
-        // Handle relative paths from playlist location
-        if (!line.startsWith('http://') && !line.startsWith('https://')) {
-          const playlistDir = playlistPath.substring(0, playlistPath.lastIndexOf('/'));
-          line = `${playlistDir}/${line}`;
+        // A buffer source can't resume, so pausing ends it
+        stopped = true;
+        player.paused = true;
+        node.stop();
+      },
+      addEventListener: (event, callback) => {
+        if (event === 'ended') {
+          endedListeners.push(callback);
         }
-
-        tracks.push(line);
       }
+    };
 
-      console.log(`Loaded playlist: ${playlistPath} (${tracks.length} tracks)`);
-      return tracks;
-    } catch (error) {
-      console.error('Error parsing M3U playlist:', error);
-      return [];
-    }
+    // Only a natural end counts as "ended", like an audio element
+    node.onended = () => {
+      if (stopped) return;
+      stopped = true;
+      player.paused = true;
+      endedListeners.forEach(callback => callback());
+    };
+
+    this.elementNodes.set(player, { source: node, gain, panner: null, pan: 0, level });
+    return player;
   }
 
   /**
-   * Shuffle an array (Fisher-Yates algorithm)
-   * @param {Array} array - Array to shuffle
-   * @returns {Array} Shuffled copy of the array
+   * Get a decoded sound from the cache
+   * @param {string} source - The audio file path
+   * @returns {AudioBuffer|null} The buffer, or null if it isn't decoded yet
    */
-  shuffleArray(array) {
-    const shuffled = [...array];
-    for (let i = shuffled.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
-    }
-    return shuffled;
+  getCachedBuffer(source) {
+    const entry = this.bufferCache.get(source);
+    if (!entry || !entry.buffer) return null;
+
+    entry.lastUsed = Date.now();
+    return entry.buffer;
   }
 
   /**
-   * Load and play music track or playlist
-   * @param {string|Array} source - Path to audio file, .m3u playlist, or array of tracks
-   * @param {boolean} loop - Whether to loop (default: true)
-   * @param {boolean} shuffle - Whether to shuffle playlist (default: false)
+   * Fetch and decode a sound into the cache
+   * @param {string} source - The audio file path
+   * @returns {Promise<AudioBuffer|null>}
    */
-  async playMusic(source, loop = true, shuffle = false) {
-    if (!source) return;
-
-    await this.stopMusic();
-
-    // Handle array of tracks
-    if (Array.isArray(source)) {
-      this.playlists.music = source;
-      this.playlists.shuffle = shuffle;
-      this.playlists.currentIndex = 0;
-
-      // Create shuffled version if needed
-      if (shuffle) {
-        this.playlists.musicShuffled = this.shuffleArray(source);
-      } else {
-        this.playlists.musicShuffled = null;
-      }
+  loadBuffer(source) {
+    const cached = this.bufferCache.get(source);
+    if (cached) return cached.promise;
 
-      const playlist = shuffle ? this.playlists.musicShuffled : this.playlists.music;
+    const entry = { promise: null, buffer: null, bytes: 0, lastUsed: Date.now() };
 
-      if (playlist.length === 0) {
-        console.error('No tracks in playlist');
-        return;
-      }
-
-      // Create new music element
-      this.audioElements.music = this.createAudioElement('music', playlist[0]);
-      this.audioElements.music.src = playlist[0];
-      this.audioElements.music.loop = false; // We'll handle looping manually
-
-      // Set up playlist handling
-      this.audioElements.music.addEventListener('ended', () => {
-        this.playNextInPlaylist();
+    entry.promise = fetch(source)
+      .then(response => {
+        if (!response.ok) {
+          throw new Error(response.statusText);
+        }
+        return response.arrayBuffer();
+      })
+      .then(data => this.context.decodeAudioData(data))
+      .then(buffer => {
+        entry.buffer = buffer;
+        entry.bytes = buffer.length * buffer.numberOfChannels * 4;  // 32-bit float samples
+        this.trimBufferCache(source);
+        return buffer;
+      })
+      .catch(error => {
+        console.error(`Error preloading ${source}:`, error);
+        this.bufferCache.delete(source);
+        return null;
       });
 
-      this.tracks.music = playlist[0];
-
-      try {
-        await this.audioElements.music.play();
-        console.log(`Playing music: ${playlist[0]} (playlist mode, shuffle: ${shuffle})`);
-      } catch (error) {
-        console.error('Error playing music:', error);
-      }
-      return;
-    }
-
-    // Create new music element with source for per-file volume
-    this.audioElements.music = this.createAudioElement('music', source);
-
-    // Check if source is a playlist
-    if (source.endsWith('.m3u')) {
-      const tracks = await this.parseM3U(source);
-      if (tracks.length === 0) {
-        console.error('No tracks found in playlist');
-        return;
-      }
-
-      this.playlists.music = tracks;
-      this.playlists.shuffle = shuffle;
-      this.playlists.currentIndex = 0;
-
-      // Create shuffled version if needed
-      if (shuffle) {
-        this.playlists.musicShuffled = this.shuffleArray(tracks);
-      } else {
-        this.playlists.musicShuffled = null;
-      }
-
-      const playlist = shuffle ? this.playlists.musicShuffled : tracks;
+    this.bufferCache.set(source, entry);
+    return entry.promise;
+  }
 
-      // Set up playlist handling
-      this.audioElements.music.addEventListener('ended', () => {
-        this.playNextInPlaylist();
+  /**
+   * Evict the least recently used sounds until the cache fits its budget
+   * @param {string} keep - A file that must stay (the one just loaded)
+   */
+  trimBufferCache(keep = null) {
+    const budget = this.configManager.getTriggerCacheConfig().maxMegabytes * 1024 * 1024;
+    const decoded = [...this.bufferCache.entries()].filter(([, entry]) => entry.buffer);
+
+    let total = decoded.reduce((sum, [, entry]) => sum + entry.bytes, 0);
+    if (total <= budget) return;
+
+    decoded
+      .filter(([source]) => source !== keep)
+      .sort((a, b) => a[1].lastUsed - b[1].lastUsed)
+      .forEach(([source, entry]) => {
+        if (total <= budget) return;
+
+        this.bufferCache.delete(source);
+        total -= entry.bytes;
+        console.log(`Evicted ${source} from the trigger sound cache`);
       });
+  }
 
-      this.audioElements.music.src = playlist[0];
-      this.audioElements.music.loop = false; // We'll handle looping manually
-    } else {
-      // Single file
-      this.playlists.music = null;
-      this.playlists.musicShuffled = null;
-      this.audioElements.music.src = source;
-      this.audioElements.music.loop = loop;
-    }
+  /**
+   * Preload the sounds of one trigger, or of every trigger
+   * Files load one at a time so startup doesn't flood the network
+   * @param {string} triggerId - Trigger to preload (default: all)
+   */
+  async preloadTriggerSounds(triggerId = null) {
+    const files = this.configManager.getTriggerAudioFiles(triggerId);
 
-    this.tracks.music = source;
+    for (const source of files) {
+      await this.loadBuffer(source);
+    }
 
-    try {
-      await this.audioElements.music.play();
-      console.log(`Playing music: ${source}`);
-    } catch (error) {
-      console.error('Error playing music:', error);
+    if (!triggerId && files.length > 0) {
+      const megabytes = [...this.bufferCache.values()].reduce((sum, entry) => sum + entry.bytes, 0) / 1024 / 1024;
+      console.log(`Preloaded ${files.length} trigger sounds (${megabytes.toFixed(1)} MB decoded)`);
     }
   }
 
   /**
-   * Play next track in playlist
+   * Resolve ducking settings for a trigger sound
+   * Starts from `audio.ducking`; a trigger can pass `false`, `true` or an object of overrides
+   * @param {boolean|Object} override - Per-trigger ducking setting
+   * @returns {Object|null} { amount, attack, release, targets } or null when ducking is off
    */
-  playNextInPlaylist() {
-    if (!this.playlists.music || this.playlists.music.length === 0) return;
+  getDuckingSettings(override = null) {
+    if (override === false) return null;
+
+    const settings = {
+      enabled: false,
+      amount: 0.5,
+      attack: 100,
+      release: 800,
+      targets: ['music', 'ambient'],
+      ...this.configManager.getConfig()?.audio?.ducking
+    };
 
-    const playlist = this.playlists.shuffle ? this.playlists.musicShuffled : this.playlists.music;
+    if (override === true) {
+      settings.enabled = true;
+    } else if (override && typeof override === 'object') {
+      Object.assign(settings, { enabled: true }, override);
+    }
 
-    this.playlists.currentIndex = (this.playlists.currentIndex + 1) % playlist.length;
-    const nextTrack = playlist[this.playlists.currentIndex];
+    return settings.enabled ? settings : null;
+  }
 
-    this.audioElements.music.src = nextTrack;
-    this.tracks.music = nextTrack;
+  /**
+   * Duck the target buses while a trigger sound plays
+   * @param {HTMLAudioElement} audio - The trigger sound
+   * @param {Object} settings - Ducking settings
+   */
+  startDuck(audio, settings) {
+    this.activeDucks.set(audio, settings);
+    this.applyDucking(settings.attack);
+  }
 
-    this.audioElements.music.play().catch(error => {
-      console.error('Error playing next track:', error);
-    });
+  /**
+   * Release the duck held by a trigger sound
+   * @param {HTMLAudioElement} audio - The trigger sound
+   */
+  endDuck(audio) {
+    const settings = this.activeDucks.get(audio);
+    if (!settings) return;
 
-    console.log(`Now playing: ${nextTrack}`);
+    this.activeDucks.delete(audio);
+    this.applyDucking(settings.release);
   }
 
   /**
-   * Skip to next track (manual skip)
+   * Ramp each duck gain to the deepest duck still held on it
+   * @param {number} duration - Ramp duration in milliseconds
    */
-  skipNext() {
-    if (!this.playlists.music || this.playlists.music.length === 0) {
-      console.log('No playlist active');
-      return;
-    }
+  applyDucking(duration) {
+    Object.entries(this.duckNodes).forEach(([type, node]) => {
+      if (!node) return;
+
+      let amount = 0;
+      this.activeDucks.forEach(settings => {
+        if (settings.targets.includes(type)) {
+          amount = Math.max(amount, settings.amount);
+        }
+      });
 
-    console.log('Skipping to next track');
-    this.playNextInPlaylist();
+      this.rampGain(node.gain, 1 - Math.max(0, Math.min(1, amount)), duration);
+    });
   }
 
   /**
-   * Skip to previous track
+   * Replace the effects chain on a category bus
+   * @param {string} type - The bus (music, ambient, trigger)
+   * @param {Array<Object>} effects - Effect definitions, applied in order (empty = no effects)
    */
-  skipPrevious() {
-    if (!this.playlists.music || this.playlists.music.length === 0) {
-      console.log('No playlist active');
+  setBusEffects(type, effects = []) {
+    if (!this.buses[type] || type === 'master') {
+      console.error(`Invalid bus for effects: ${type}`);
       return;
     }
 
-    const playlist = this.playlists.shuffle ? this.playlists.musicShuffled : this.playlists.music;
+    const previous = this.effectChains[type];
+    if (previous.length === 0 && effects.length === 0) return;
 
-    // Go to previous track
-    this.playlists.currentIndex = (this.playlists.currentIndex - 1 + playlist.length) % playlist.length;
-    const prevTrack = playlist[this.playlists.currentIndex];
+    const chain = effects.map((definition, index) => this.createEffect(definition, index)).filter(Boolean);
 
-    this.audioElements.music.src = prevTrack;
-    this.tracks.music = prevTrack;
+    // Rewire bus -> effects -> output
+    this.buses[type].disconnect();
+    previous.forEach(effect => effect.output.disconnect());
 
-    this.audioElements.music.play().catch(error => {
-      console.error('Error playing previous track:', error);
+    let node = this.buses[type];
+    chain.forEach(effect => {
+      node.connect(effect.input);
+      node = effect.output;
     });
+    node.connect(this.busOutputs[type]);
 
-    console.log(`Now playing: ${prevTrack}`);
+    this.effectChains[type] = chain;
+    console.log(`${type} effects: ${chain.map(effect => effect.type).join(' -> ') || 'none'}`);
   }
 
   /**
-   * Get current track information
-   * @returns {Object|null} Current track info
+   * Build the nodes for one effect
+   * @param {Object} definition - { type, id, ... } where type is a biquad filter type, "reverb" or "distortion"
+   * @param {number} index - Position in the chain (default id)
+   * @returns {Object|null} { id, type, input, output, params }
    */
-  getCurrentTrack() {
-    if (!this.audioElements.music || !this.tracks.music) {
-      return null;
-    }
+  createEffect(definition, index) {
+    const id = definition.id !== undefined ? String(definition.id) : String(index);
+    const biquadTypes = ['lowpass', 'highpass', 'bandpass', 'lowshelf', 'highshelf', 'peaking', 'notch', 'allpass'];
 
-    const playlist = this.playlists.music
-      ? (this.playlists.shuffle ? this.playlists.musicShuffled : this.playlists.music)
-      : null;
+    if (biquadTypes.includes(definition.type)) {
+      const filter = this.context.createBiquadFilter();
+      filter.type = definition.type;
 
-    return {
-      path: this.tracks.music,
-      name: this.tracks.music.split('/').pop(),
-      isPlaying: !this.audioElements.music.paused,
-      isPaused: this.audioElements.music.paused,
-      currentTime: this.audioElements.music.currentTime,
-      duration: this.audioElements.music.duration,
-      isPlaylist: playlist !== null,
-      playlistLength: playlist ? playlist.length : 0,
-      currentIndex: playlist ? this.playlists.currentIndex : -1,
-      shuffle: this.playlists.shuffle
-    };
-  }
+      ['frequency', 'Q', 'gain'].forEach(param => {
+        if (definition[param] !== undefined) {
+          filter[param].value = definition[param];
+        }
+      });
 
-  /**
-   * Pause music playback
-   */
-  pauseMusic() {
-    if (this.audioElements.music && !this.audioElements.music.paused) {
-      this.audioElements.music.pause();
-      console.log('Music paused');
+      return {
+        id,
+        type: definition.type,
+        input: filter,
+        output: filter,
+        params: { frequency: filter.frequency, Q: filter.Q, gain: filter.gain }
+      };
     }
-  }
 
-  /**
-   * Resume music playback
-   */
-  resumeMusic() {
-    if (this.audioElements.music && this.audioElements.music.paused) {
-      this.audioElements.music.play().catch(error => {
-        console.error('Error resuming music:', error);
+    if (definition.type === 'reverb') {
+      const convolver = this.context.createConvolver();
+      this.getImpulseResponse(definition.impulse || 'room').then(buffer => {
+        if (buffer) {
+          convolver.buffer = buffer;
+        }
       });
-      console.log('Music resumed');
+
+      return this.createWetDryEffect(id, 'reverb', convolver, definition.mix ?? 0.3);
     }
-  }
 
-  /**
-   * Seek to a specific time in the current track
-   * @param {number} time - Time in seconds
-   */
-  seekMusic(time) {
-    if (this.audioElements.music) {
-      this.audioElements.music.currentTime = time;
-      console.log(`Seeked to ${time.toFixed(2)}s`);
+    if (definition.type === 'distortion') {
+      const shaper = this.context.createWaveShaper();
+      shaper.curve = this.createDistortionCurve(definition.amount ?? 20);
+      shaper.oversample = '4x';
+
+      return this.createWetDryEffect(id, 'distortion', shaper, definition.mix ?? 1);
     }
+
+    console.error(`Unknown audio effect: ${definition.type}`);
+    return null;
   }
 
   /**
-   * Stop music playback with fade-out
-   * @param {number} fadeDuration - Fade duration in milliseconds (uses config if not specified)
+   * Wrap a node in a wet/dry mix
+   * @param {string} id - Effect id
+   * @param {string} type - Effect type
+   * @param {AudioNode} node - The processing node
+   * @param {number} mix - Wet level (0-1)
+   * @returns {Object} Effect ({ id, type, input, output, node, params }) with `wet` and `dry` params
    */
-  async stopMusic(fadeDuration = null) {
-    // Use config fade duration if not specified
-    if (fadeDuration === null) {
-      fadeDuration = this.configManager.getConfig()?.audio?.fadeDuration || 1000;
-    }
-
-    if (this.audioElements.music) {
-      await this.fadeOut(this.audioElements.music, fadeDuration);
-    }
-    this.tracks.music = null;
-    this.playlists.music = null;
-    this.playlists.musicShuffled = null;
-    this.playlists.currentIndex = 0;
-    this.playlists.shuffle = false;
+  createWetDryEffect(id, type, node, mix) {
+    const input = this.context.createGain();
+    const output = this.context.createGain();
+    const wet = this.context.createGain();
+    const dry = this.context.createGain();
+
+    wet.gain.value = mix;
+    dry.gain.value = 1 - mix;
+
+    input.connect(dry);
+    dry.connect(output);
+    input.connect(node);
+    node.connect(wet);
+    wet.connect(output);
+
+    return { id, type, input, output, node, params: { wet: wet.gain, dry: dry.gain } };
   }
 
   /**
-   * Play ambient sound(s)
-   * @param {string|Array<string>} sources - Path(s) to ambient audio file(s)
+   * Get an impulse response for the convolution reverb
+   * Built-in presets (room, hall, cathedral, plate) are generated; anything else is a file loaded through the buffer cache
+   * @param {string} name - Preset name or path to an impulse response file
+   * @returns {Promise<AudioBuffer|null>}
    */
-  async playAmbient(sources) {
-    await this.stopAmbient();
-
-    if (!sources) return;
-
-    // Ensure sources is an array
-    const sourceArray = Array.isArray(sources) ? sources : [sources];
-
-    // Create and play audio elements for each ambient layer
-    for (const source of sourceArray) {
-      const audio = this.createAudioElement('ambient', source);
-      audio.src = source;
+  getImpulseResponse(name) {
+    const presets = {
+      room: { seconds: 0.8, decay: 3 },
+      hall: { seconds: 2.5, decay: 2.5 },
+      cathedral: { seconds: 6, decay: 1.8 },
+      plate: { seconds: 1.5, decay: 4 }
+    };
 
-      this.audioElements.ambient.push(audio);
-      this.tracks.ambient.push(source);
+    if (!presets[name]) {
+      return this.loadBuffer(name);
+    }
 
-      try {
-        await audio.play();
-        console.log(`Playing ambient: ${source}`);
-      } catch (error) {
-        console.error(`Error playing ambient sound ${source}:`, error);
-      }
+    if (!this.impulseResponses.has(name)) {
+      this.impulseResponses.set(name, this.generateImpulseResponse(presets[name].seconds, presets[name].decay));
     }
+
+    return Promise.resolve(this.impulseResponses.get(name));
   }
 
   /**
-   * Fade out audio element
-   * @param {HTMLAudioElement} audio - Audio element to fade out
-   * @param {number} duration - Fade duration in milliseconds
-   * @returns {Promise}
+   * Generate a stereo impulse response from exponentially decaying noise
+   * @param {number} seconds - Length of the tail
+   * @param {number} decay - Decay exponent (higher = faster)
+   * @returns {AudioBuffer}
    */
-  fadeOut(audio, duration = 1000) {
-    return new Promise((resolve) => {
-      if (!audio || audio.paused) {
-        resolve();
-        return;
+  generateImpulseResponse(seconds, decay) {
+    const length = Math.floor(this.context.sampleRate * seconds);
+    const buffer = this.context.createBuffer(2, length, this.context.sampleRate);
+
+    for (let channel = 0; channel < 2; channel++) {
+      const data = buffer.getChannelData(channel);
+      for (let i = 0; i < length; i++) {
+        data[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / length, decay);
       }
+    }
 
-      const startVolume = audio.volume;
-      const steps = 50; // Number of fade steps
-      const stepDuration = duration / steps;
-      const volumeStep = startVolume / steps;
-      let currentStep = 0;
-
-      const fadeInterval = setInterval(() => {
-        currentStep++;
-        const newVolume = Math.max(0, startVolume - (volumeStep * currentStep));
-        audio.volume = newVolume;
-
-        if (currentStep >= steps || audio.volume === 0) {
-          clearInterval(fadeInterval);
-          audio.pause();
-          audio.currentTime = 0;
-          audio.volume = startVolume; // Reset volume for future use
-          resolve();
-        }
-      }, stepDuration);
-    });
+    return buffer;
   }
 
   /**
-   * Stop all ambient sounds with fade-out
-   * @param {number} fadeDuration - Fade duration in milliseconds (uses config if not specified)
+   * Build a waveshaper curve for distortion
+   * @param {number} amount - Drive (0-100)
+   * @returns {Float32Array}
    */
-  async stopAmbient(fadeDuration = null) {
-    // Use config fade duration if not specified
-    if (fadeDuration === null) {
-      fadeDuration = this.configManager.getConfig()?.audio?.fadeDuration || 1000;
+  createDistortionCurve(amount) {
+    const samples = 1024;
+    const curve = new Float32Array(samples);
+    const k = amount * 10;
+
+    for (let i = 0; i < samples; i++) {
+      const x = (i * 2) / samples - 1;
+      curve[i] = ((3 + k) * x * 20 * Math.PI / 180) / (Math.PI + k * Math.abs(x));
     }
 
-    // Fade out all ambient tracks simultaneously
-    const fadePromises = this.audioElements.ambient.map(audio =>
-      this.fadeOut(audio, fadeDuration)
-    );
-
-    await Promise.all(fadePromises);
-
-    this.audioElements.ambient = [];
-    this.tracks.ambient = [];
+    return curve;
   }
 
   /**
-   * Play a trigger sound effect
-   * @param {string} source - Path to trigger audio file
-   * @returns {Promise<HTMLAudioElement>} The audio element
+   * Animate an effect parameter over time
+   * @param {Object} automation - { bus, effect, param, value, duration, curve }
+   *   param is frequency, Q or gain for filters, mix for reverb/distortion, amount for distortion
    */
-  async playTrigger(source) {
-    if (!source) return null;
-
-    const audio = this.createAudioElement('trigger', source);
-    audio.src = source;
-
-    // Remove from tracking when finished
-    audio.addEventListener('ended', () => {
-      const index = this.audioElements.trigger.indexOf(audio);
-      if (index > -1) {
-        this.audioElements.trigger.splice(index, 1);
-        this.tracks.trigger.splice(index, 1);
-      }
-    });
+  automateEffect(automation) {
+    const { bus, effect: effectId, param, value, duration = 0, curve = 'linear' } = automation;
 
-    this.audioElements.trigger.push(audio);
-    this.tracks.trigger.push(source);
+    const effect = (this.effectChains[bus] || []).find(e => e.id === String(effectId));
+    if (!effect) {
+      console.warn(`Audio effect not found: ${bus}/${effectId}`);
+      return;
+    }
 
-    try {
-      await audio.play();
-      console.log(`Playing trigger: ${source}`);
-      return audio;
-    } catch (error) {
-      console.error(`Error playing trigger sound ${source}:`, error);
-      return null;
+    if (param === 'mix' && effect.params.wet) {
+      this.rampGain(effect.params.wet, value, duration, curve);
+      this.rampGain(effect.params.dry, 1 - value, duration, curve);
+    } else if (param === 'amount' && effect.type === 'distortion') {
+      // Waveshaper curves can't ramp; switch right away
+      effect.node.curve = this.createDistortionCurve(value);
+    } else if (effect.params[param]) {
+      this.rampGain(effect.params[param], value, duration, curve);
+    } else {
+      console.warn(`Audio effect ${bus}/${effectId} has no parameter ${param}`);
     }
   }
 
   /**
-   * Set volume for a specific audio type
-   * @param {string} type - The audio type (music, ambient, trigger)
+   * Set volume for a specific bus
+   * Only the bus gain changes, so per-file gains stay intact
+   * @param {string} type - The bus (master, music, ambient, trigger)
    * @param {number} volume - Volume level (0-1)
    */
   setVolume(type, volume) {
@@ -508,21 +1846,25 @@ class AudioEngine {
       return;
     }
 
+    if (!(type in this.buses)) {
+      console.error(`Unknown audio bus: ${type}`);
+      return;
+    }
+
     this.volumes[type] = volume;
 
-    // Update existing audio elements
-    if (type === 'music' && this.audioElements.music) {
-      this.audioElements.music.volume = volume;
-    } else if (type === 'ambient') {
-      this.audioElements.ambient.forEach(audio => {
-        audio.volume = volume;
-      });
-    } else if (type === 'trigger') {
-      this.audioElements.trigger.forEach(audio => {
-        audio.volume = volume;
-      });
+    // Short ramp avoids zipper noise while dragging a slider
+    if (this.buses[type]) {
+      this.rampGain(this.buses[type].gain, volume, 50);
     }
 
+    // Elements playing outside the graph follow by their own volume
+    this.elementNodes.forEach((nodes, audio) => {
+      if (nodes.direct) {
+        audio.volume = this.getDirectVolume(nodes);
+      }
+    });
+
     console.log(`Set ${type} volume to ${volume}`);
   }
 
@@ -545,15 +1887,18 @@ class AudioEngine {
       fadeDuration = this.configManager.getConfig()?.audio?.fadeDuration || 1000;
     }
 
+    const elements = this.audioElements.trigger;
+    this.audioElements.trigger = [];
+    this.tracks.trigger = [];
+
     // Fade out all trigger tracks simultaneously
-    const fadePromises = this.audioElements.trigger.map(audio =>
+    const fadePromises = elements.map(audio =>
       this.fadeOut(audio, fadeDuration)
     );
 
     await Promise.all(fadePromises);
 
-    this.audioElements.trigger = [];
-    this.tracks.trigger = [];
+    elements.forEach(audio => this.releaseAudioElement(audio));
   }
 
   /**
@@ -564,8 +1909,7 @@ class AudioEngine {
     this.stopAmbient();
 
     this.audioElements.trigger.forEach(audio => {
-      audio.pause();
-      audio.currentTime = 0;
+      this.releaseAudioElement(audio);
     });
     this.audioElements.trigger = [];
     this.tracks.trigger = [];
@@ -579,12 +1923,15 @@ class AudioEngine {
    */
   getState() {
     return {
+      master: {
+        volume: this.volumes.master
+      },
       music: {
         playing: this.tracks.music !== null,
         source: this.tracks.music,
         volume: this.volumes.music,
-        isPlaylist: this.playlists.music !== null,
-        playlistIndex: this.playlists.currentIndex
+        isPlaylist: this.queue.entries.length > 1,
+        playlistIndex: this.queue.index
       },
       ambient: {
         playing: this.tracks.ambient.length > 0,
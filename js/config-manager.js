@@ -10,6 +10,14 @@ class ConfigManager {
     this.loaded = false;
   }
 
+  /**
+   * Trigger concurrency modes
+   * @returns {Array<string>}
+   */
+  static get triggerConcurrency() {
+    return ['interrupt', 'queue', 'ignore', 'overlap'];
+  }
+
   /**
    * Load configuration from config.json
    * @returns {Promise<Object>} The loaded configuration
@@ -45,9 +53,7 @@ class ConfigManager {
     // Validate lighting configuration
     if (this.config.lighting) {
       if (this.config.lighting.wled && this.config.lighting.wled.enabled) {
-        if (!this.config.lighting.wled.ip) {
-          throw new Error('WLED IP address is required when WLED is enabled');
-        }
+        this.validateWLED(this.config.lighting.wled);
       }
 
       if (this.config.lighting.homeAssistant && this.config.lighting.homeAssistant.enabled) {
@@ -61,13 +67,70 @@ class ConfigManager {
     if (this.config.audio) {
       const volumes = this.config.audio.defaultVolumes;
       if (volumes) {
-        ['music', 'ambient', 'trigger'].forEach(type => {
+        ['master', 'music', 'ambient', 'trigger'].forEach(type => {
           if (volumes[type] !== undefined && (volumes[type] < 0 || volumes[type] > 1)) {
             throw new Error(`Invalid volume for ${type}: must be between 0 and 1`);
           }
         });
       }
     }
+
+    this.validateTriggerPolicies();
+  }
+
+  /**
+   * Warn once about trigger concurrency values that aren't known
+   * getTriggerPolicy() treats them as "interrupt"
+   */
+  validateTriggerPolicies() {
+    const settings = this.config.triggerSettings || {};
+    const entries = [['triggerSettings', settings], ...Object.entries(this.config.triggers || {})];
+
+    entries.forEach(([id, entry]) => {
+      if (entry?.concurrency && !ConfigManager.triggerConcurrency.includes(entry.concurrency)) {
+        console.warn(`Unknown trigger concurrency for ${id}: ${entry.concurrency} (using "interrupt")`);
+      }
+    });
+  }
+
+  /**
+   * Validate WLED devices and zones
+   * @param {Object} wled - WLED configuration
+   * @throws {Error} If devices or zones are invalid
+   */
+  validateWLED(wled) {
+    if (!wled.devices) {
+      if (!wled.ip) {
+        throw new Error('WLED IP address is required when WLED is enabled');
+      }
+      return;
+    }
+
+    if (!Array.isArray(wled.devices) || wled.devices.length === 0) {
+      throw new Error('WLED devices must be a non-empty array');
+    }
+
+    const names = new Set();
+    wled.devices.forEach(device => {
+      if (!device.name || !device.ip) {
+        throw new Error('Each WLED device requires a name and an IP address');
+      }
+      if (names.has(device.name)) {
+        throw new Error(`Duplicate WLED device name: ${device.name}`);
+      }
+      names.add(device.name);
+    });
+
+    Object.entries(wled.zones || {}).forEach(([zone, members]) => {
+      if (!Array.isArray(members)) {
+        throw new Error(`WLED zone ${zone} must be an array of device names`);
+      }
+      members.forEach(name => {
+        if (!names.has(name)) {
+          throw new Error(`WLED zone ${zone} references unknown device: ${name}`);
+        }
+      });
+    });
   }
 
   /**
@@ -89,6 +152,76 @@ class ConfigManager {
     return this.config?.lighting?.wled || {};
   }
 
+  /**
+   * Get configured WLED devices
+   * A legacy single `ip`/`port` configuration becomes one device named "default"
+   * @returns {Array<Object>} Devices ({ name, ip, port })
+   */
+  getWLEDDevices() {
+    const wled = this.getWLEDConfig();
+
+    if (Array.isArray(wled.devices)) {
+      return wled.devices.map(device => ({
+        ...device,
+        port: device.port || 80
+      }));
+    }
+
+    if (wled.ip) {
+      return [{ name: 'default', ip: wled.ip, port: wled.port || 80 }];
+    }
+
+    return [];
+  }
+
+  /**
+   * Get named WLED zones
+   * @returns {Object} Zone name -> array of device names
+   */
+  getWLEDZones() {
+    return this.getWLEDConfig().zones || {};
+  }
+
+  /**
+   * Resolve a zone to its WLED devices
+   * Accepts a zone name or a device name; no zone (or "all") means every device
+   * @param {string} zone - Zone or device name
+   * @returns {Array<Object>} Devices ({ name, ip, port })
+   */
+  getWLEDZoneDevices(zone = null) {
+    const devices = this.getWLEDDevices();
+
+    if (!zone || zone === 'all') {
+      return devices;
+    }
+
+    const members = this.getWLEDZones()[zone];
+    if (members) {
+      return devices.filter(device => members.includes(device.name));
+    }
+
+    const device = devices.find(d => d.name === zone);
+    if (device) {
+      return [device];
+    }
+
+    console.warn(`Unknown WLED zone: ${zone}`);
+    return [];
+  }
+
+  /**
+   * Get connection health check settings
+   * @returns {Object} { interval, retryInterval, maxInterval } in milliseconds
+   */
+  getHealthCheckConfig() {
+    return {
+      interval: 15000,
+      retryInterval: 2000,
+      maxInterval: 60000,
+      ...this.config?.lighting?.healthCheck
+    };
+  }
+
   /**
    * Get Home Assistant configuration
    * @returns {Object} Home Assistant configuration
@@ -97,6 +230,22 @@ class ConfigManager {
     return this.config?.lighting?.homeAssistant || {};
   }
 
+  /**
+   * Get Home Assistant entities to switch off with the lights
+   * @returns {Array<string>} Entity IDs
+   */
+  getHomeAssistantOffEntities() {
+    return this.config?.lighting?.homeAssistant?.offEntities || [];
+  }
+
+  /**
+   * Get mappings from Home Assistant events to DMTools actions
+   * @returns {Array<Object>} Mappings ({ event, entity_id, from, to, data, scene | stopScene | trigger })
+   */
+  getHomeAssistantEventMappings() {
+    return this.config?.lighting?.homeAssistant?.eventMappings || [];
+  }
+
   /**
    * Get audio configuration
    * @returns {Object} Audio configuration
@@ -139,6 +288,112 @@ class ConfigManager {
     return this.config?.triggers?.[triggerId];
   }
 
+  /**
+   * Get every sequence a trigger can run: its `sequence` and each of its `variants`
+   * @param {Object} trigger - Trigger configuration
+   * @returns {Array<Array>} Sequences
+   */
+  getTriggerSequences(trigger) {
+    const sequences = [];
+
+    if (Array.isArray(trigger?.sequence)) {
+      sequences.push(trigger.sequence);
+    }
+
+    (Array.isArray(trigger?.variants) ? trigger.variants : []).forEach(variant => {
+      if (Array.isArray(variant.sequence)) {
+        sequences.push(variant.sequence);
+      }
+    });
+
+    return sequences;
+  }
+
+  /**
+   * Get every trigger sound file referenced by trigger sequences
+   * Includes every file of a sound pool (an array or object of file -> weight)
+   * @param {string} triggerId - Only this trigger (default: all triggers)
+   * @returns {Array<string>} Unique file paths
+   */
+  getTriggerAudioFiles(triggerId = null) {
+    const triggers = triggerId ? [this.getTrigger(triggerId)] : Object.values(this.getTriggers());
+    const files = new Set();
+
+    triggers.forEach(trigger => {
+      this.getTriggerSequences(trigger).flat().forEach(event => {
+        const sounds = event.audio?.trigger;
+        if (!sounds) return;
+
+        if (typeof sounds === 'string') {
+          files.add(sounds);
+        } else {
+          (Array.isArray(sounds) ? sounds : Object.keys(sounds)).forEach(file => files.add(file));
+        }
+      });
+    });
+
+    return [...files];
+  }
+
+  /**
+   * Get trigger sound cache settings
+   * @returns {Object} { preload: "startup" | "hover" | "off", maxMegabytes }
+   */
+  getTriggerCacheConfig() {
+    return {
+      preload: 'hover',
+      maxMegabytes: 150,
+      ...this.config?.audio?.triggerCache
+    };
+  }
+
+  /**
+   * Get the transition used when switching into a scene
+   * The scene's own `transition` overrides the global `sceneTransition`
+   * @param {string} sceneId - The scene being switched to
+   * @returns {Object} { duration, curve }
+   */
+  getSceneTransition(sceneId) {
+    return {
+      duration: 3000,
+      curve: 'linear',
+      ...this.config?.sceneTransition,
+      ...this.getScene(sceneId)?.transition
+    };
+  }
+
+  /**
+   * Get global trigger settings
+   * @returns {Object} Trigger settings (onNewTrigger, cancelCleanup)
+   */
+  getTriggerSettings() {
+    return this.config?.triggerSettings || {};
+  }
+
+  /**
+   * Get what a trigger does while others run, and its cooldown
+   * The trigger's own `concurrency`/`cooldown` override `triggerSettings`; without either,
+   * `onNewTrigger: "overlap"` means overlap and anything else interrupt
+   * @param {string} triggerId - The trigger identifier
+   * @returns {Object} { concurrency: "interrupt" | "queue" | "ignore" | "overlap", cooldown } (cooldown in milliseconds)
+   */
+  getTriggerPolicy(triggerId) {
+    const settings = this.getTriggerSettings();
+    const trigger = this.getTrigger(triggerId) || {};
+
+    let concurrency = trigger.concurrency || settings.concurrency ||
+      (settings.onNewTrigger === 'overlap' ? 'overlap' : 'interrupt');
+
+    if (!ConfigManager.triggerConcurrency.includes(concurrency)) {
+      concurrency = 'interrupt';  // Already reported by validate()
+    }
+
+    return {
+      concurrency,
+      cooldown: trigger.cooldown ?? settings.cooldown ?? 0
+    };
+  }
+
   /**
    * Check if WLED is enabled
    * @returns {boolean}
@@ -164,6 +419,14 @@ class ConfigManager {
     return this.config?.audio?.defaultVolumes?.[type] || 0.5;
   }
 
+  /**
+   * Get master bus volume
+   * @returns {number} The master volume (0-1, defaults to 1)
+   */
+  getMasterVolume() {
+    return this.config?.audio?.defaultVolumes?.master ?? 1;
+  }
+
   /**
    * Check if DDP override is enabled
    * @returns {boolean}
@@ -0,0 +1,54 @@
+/**
+ * Easing Curves
+ * Shared by lighting fades and audio crossfades so a transition's
+ * light and sound follow the same shape
+ */
+
+class Easing {
+  /**
+   * Names of the supported curves
+   * @returns {Array<string>}
+   */
+  static get curves() {
+    return ['linear', 'easeIn', 'easeOut', 'easeInOut', 'sine'];
+  }
+
+  /**
+   * Apply an easing curve
+   * @param {string} curve - linear, easeIn, easeOut, easeInOut or sine (default: linear)
+   * @param {number} t - Progress (0-1)
+   * @returns {number} Eased progress (0-1)
+   */
+  static apply(curve, t) {
+    switch (curve) {
+      case 'easeIn':
+        return t * t * t;
+      case 'easeOut':
+        return 1 - Math.pow(1 - t, 3);
+      case 'easeInOut':
+        return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+      case 'sine':
+        return (1 - Math.cos(Math.PI * t)) / 2;
+      default:
+        return t;
+    }
+  }
+
+  /**
+   * Sample a curve between two values, e.g. for AudioParam.setValueCurveAtTime
+   * @param {string} curve - Curve name
+   * @param {number} from - Start value
+   * @param {number} to - End value
+   * @param {number} steps - Number of samples (default: 64)
+   * @returns {Float32Array}
+   */
+  static sample(curve, from, to, steps = 64) {
+    const values = new Float32Array(steps);
+
+    for (let i = 0; i < steps; i++) {
+      values[i] = from + (to - from) * Easing.apply(curve, i / (steps - 1));
+    }
+
+    return values;
+  }
+}
@@ -0,0 +1,257 @@
+/**
+ * Home Assistant Client
+ * Keeps an authenticated WebSocket connection to Home Assistant open and
+ * maps incoming events (button presses, sensors, automations) to DMTools actions
+ */
+
+class HomeAssistantClient {
+  constructor(configManager) {
+    this.configManager = configManager;
+
+    this.socket = null;
+    this.state = 'disconnected';  // disconnected | connecting | connected | auth_failed
+    this.messageId = 1;
+
+    // Reconnect with exponential backoff
+    this.reconnectDelay = 1000;
+    this.maxReconnectDelay = 30000;
+    this.reconnectTimer = null;
+    this.stopped = false;
+
+    // Called when the socket state changes
+    this.onStateChange = null;
+
+    // Called with the mapped action ({ scene }, { stopScene }, { trigger }) when an event matches
+    this.onAction = null;
+  }
+
+  /**
+   * Check if the WebSocket connection should be used
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return this.configManager.isHomeAssistantEnabled() &&
+      this.configManager.getHomeAssistantConfig().websocket !== false;
+  }
+
+  /**
+   * Open the WebSocket connection
+   */
+  connect() {
+    if (!this.isEnabled() || this.socket) return;
+
+    const config = this.configManager.getHomeAssistantConfig();
+    const url = `ws://${config.ip}:${config.port}/api/websocket`;
+
+    this.stopped = false;
+    this.setState('connecting');
+
+    let ws;
+    try {
+      ws = new WebSocket(url);
+    } catch (error) {
+      console.error('Error opening Home Assistant WebSocket:', error);
+      this.scheduleReconnect();
+      return;
+    }
+
+    this.socket = ws;
+
+    // A socket closed by disconnect() can still deliver events after a new one
+    // has opened, so each handler only acts while its socket is the current one
+    ws.addEventListener('message', (e) => {
+      if (this.socket !== ws) return;
+
+      try {
+        this.handleMessage(JSON.parse(e.data));
+      } catch (error) {
+        console.error('Error handling Home Assistant message:', error);
+      }
+    });
+
+    ws.addEventListener('close', () => {
+      if (this.socket !== ws) return;
+
+      this.socket = null;
+
+      // Bad tokens won't get better by retrying
+      if (this.state === 'auth_failed') return;
+
+      this.setState('disconnected');
+      this.scheduleReconnect();
+    });
+
+    ws.addEventListener('error', () => {
+      if (this.socket !== ws) return;
+
+      console.warn('Home Assistant WebSocket error');
+    });
+  }
+
+  /**
+   * Close the connection and stop reconnecting
+   */
+  disconnect() {
+    this.stopped = true;
+    clearTimeout(this.reconnectTimer);
+
+    if (this.socket) {
+      this.socket.close();
+      this.socket = null;
+    }
+
+    this.setState('disconnected');
+  }
+
+  /**
+   * Schedule a reconnect attempt with exponential backoff
+   */
+  scheduleReconnect() {
+    if (this.stopped) return;
+
+    clearTimeout(this.reconnectTimer);
+    console.log(`Reconnecting to Home Assistant in ${this.reconnectDelay / 1000}s`);
+
+    this.reconnectTimer = setTimeout(() => this.connect(), this.reconnectDelay);
+    this.reconnectDelay = Math.min(this.reconnectDelay * 2, this.maxReconnectDelay);
+  }
+
+  /**
+   * Update the socket state and notify listeners
+   * @param {string} state - New state
+   */
+  setState(state) {
+    if (this.state === state) return;
+
+    this.state = state;
+    if (this.onStateChange) {
+      this.onStateChange(state);
+    }
+  }
+
+  /**
+   * Get the current socket state
+   * @returns {string} disconnected | connecting | connected | auth_failed
+   */
+  getState() {
+    return this.state;
+  }
+
+  /**
+   * Send a message over the socket
+   * @param {Object} message - Message without id (added automatically unless auth)
+   */
+  send(message) {
+    if (!this.socket) return;
+
+    if (message.type !== 'auth') {
+      message.id = this.messageId++;
+    }
+
+    this.socket.send(JSON.stringify(message));
+  }
+
+  /**
+   * Handle a message from Home Assistant
+   * @param {Object} message - Parsed message
+   */
+  handleMessage(message) {
+    switch (message.type) {
+      case 'auth_required':
+        this.send({
+          type: 'auth',
+          access_token: this.configManager.getHomeAssistantConfig().token
+        });
+        break;
+
+      case 'auth_ok':
+        console.log('Home Assistant WebSocket authenticated');
+        this.reconnectDelay = 1000;
+        this.setState('connected');
+        this.subscribe();
+        break;
+
+      case 'auth_invalid':
+        console.error('Home Assistant WebSocket authentication failed:', message.message);
+        this.setState('auth_failed');
+        this.socket.close();
+        break;
+
+      case 'result':
+        if (!message.success) {
+          console.error('Home Assistant request failed:', message.error);
+        }
+        break;
+
+      case 'event':
+        this.handleEvent(message.event);
+        break;
+    }
+  }
+
+  /**
+   * Subscribe to every event type used by the configured mappings
+   */
+  subscribe() {
+    const eventTypes = new Set(
+      this.configManager.getHomeAssistantEventMappings().map(mapping => mapping.event || 'state_changed')
+    );
+
+    eventTypes.forEach(eventType => {
+      this.send({ type: 'subscribe_events', event_type: eventType });
+      console.log(`Subscribed to Home Assistant events: ${eventType}`);
+    });
+  }
+
+  /**
+   * Run the actions of every mapping that matches an event
+   * @param {Object} event - Home Assistant event
+   */
+  handleEvent(event) {
+    this.configManager.getHomeAssistantEventMappings().forEach(mapping => {
+      if (!this.matchesMapping(mapping, event)) return;
+
+      console.log(`Home Assistant event matched: ${event.event_type}`, mapping);
+
+      if (this.onAction) {
+        this.onAction(mapping);
+      }
+    });
+  }
+
+  /**
+   * Check if an event matches a mapping
+   * @param {Object} mapping - Mapping from config (event, entity_id, from, to, data)
+   * @param {Object} event - Home Assistant event
+   * @returns {boolean}
+   */
+  matchesMapping(mapping, event) {
+    const eventType = mapping.event || 'state_changed';
+    if (event.event_type !== eventType) return false;
+
+    const data = event.data || {};
+
+    if (mapping.entity_id !== undefined && data.entity_id !== mapping.entity_id) {
+      return false;
+    }
+
+    // State filters only fire on real state changes, not attribute updates
+    if (mapping.from !== undefined || mapping.to !== undefined) {
+      const oldState = data.old_state?.state;
+      const newState = data.new_state?.state;
+
+      if (oldState === newState) return false;
+      if (mapping.from !== undefined && oldState !== mapping.from) return false;
+      if (mapping.to !== undefined && newState !== mapping.to) return false;
+    }
+
+    // Every key in mapping.data must equal the event data
+    if (mapping.data) {
+      return Object.entries(mapping.data).every(([key, value]) =>
+        JSON.stringify(data[key]) === JSON.stringify(value)
+      );
+    }
+
+    return true;
+  }
+}
@@ -10,9 +10,49 @@ class LightingController {
     // Connection status
     this.status = {
       wled: false,
+      wledDevices: {},  // Device name -> reachable
       homeAssistant: false
     };
 
+    // WLED states captured before a trigger (device name -> state)
+    this.savedWLEDState = null;
+
+    // Last state sent to each WLED device, for the status display
+    this.wledState = {};
+
+    // WLED transitions are capped at 255 deciseconds; longer fades run in software
+    this.maxWLEDTransition = 25500;
+    this.activeFades = {};  // Device name -> running software fade
+
+    // Device name -> last state request sent, so requests to a device land in order
+    this.wledRequests = {};
+    // Device name -> state waiting behind the request in flight ({ state, overrideDDP, sent })
+    this.pendingWLEDStates = {};
+
+    // Effect and palette names reported by each WLED device (device name -> names, index = ID)
+    this.wledEffects = {};
+    this.wledPalettes = {};
+
+    // Called whenever the tracked lighting state changes
+    this.onStateChange = null;
+
+    // Called when a connection status changes, and with ('wled' | 'homeAssistant', name)
+    // when a target comes back after being unreachable
+    this.onStatusChange = null;
+    this.onReconnect = null;
+
+    // Recent commands that could not be delivered
+    this.failedCommands = [];
+
+    // Background health checks (target key -> timer / consecutive failures)
+    this.healthTimers = {};
+    this.healthFailures = {};
+    this.healthMonitorRunning = false;
+
+    // Called with a message when something needs the DM's attention
+    this.onWarning = null;
+    this.reportedWarnings = new Set();
+
     this.initialized = false;
   }
 
@@ -25,6 +65,7 @@ class LightingController {
     // Test connections
     if (this.configManager.isWLEDEnabled()) {
       await this.testWLEDConnection();
+      await this.loadWLEDCatalogs();
     }
 
     if (this.configManager.isHomeAssistantEnabled()) {
@@ -36,35 +77,264 @@ class LightingController {
   }
 
   /**
-   * Test WLED connection
-   * @returns {Promise<boolean>}
+   * Test WLED connection on every configured device
+   * @returns {Promise<boolean>} True if all devices are reachable
    */
   async testWLEDConnection() {
-    try {
-      const config = this.configManager.getWLEDConfig();
-      const url = `http://${config.ip}:${config.port}/json/info`;
+    const devices = this.configManager.getWLEDDevices();
 
-      const response = await fetch(url, {
+    await Promise.all(devices.map(device => this.testWLEDDevice(device)));
+
+    return this.status.wled;
+  }
+
+  /**
+   * Test connection to a single WLED device
+   * @param {Object} device - WLED device ({ name, ip, port })
+   * @returns {Promise<boolean>}
+   */
+  async testWLEDDevice(device) {
+    try {
+      const response = await fetch(this.getWLEDUrl(device, '/json/info'), {
         method: 'GET',
         signal: AbortSignal.timeout(3000)
       });
 
-      this.status.wled = response.ok;
-
-      if (this.status.wled) {
-        console.log('WLED connection successful');
+      if (response.ok) {
+        console.log(`WLED connection successful (${device.name})`);
       } else {
-        console.warn('WLED connection failed');
+        console.warn(`WLED connection failed (${device.name})`);
       }
 
-      return this.status.wled;
+      this.setWLEDDeviceStatus(device.name, response.ok);
+      return response.ok;
     } catch (error) {
-      console.warn('WLED connection error:', error.message);
-      this.status.wled = false;
+      console.warn(`WLED connection error (${device.name}):`, error.message);
+      this.setWLEDDeviceStatus(device.name, false);
       return false;
     }
   }
 
+  /**
+   * Update the reachability of a WLED device
+   * Notifies status listeners on change, and reconnect listeners when it comes back
+   * @param {string} name - Device name
+   * @param {boolean} connected - Whether the device responded
+   */
+  setWLEDDeviceStatus(name, connected) {
+    const previous = this.status.wledDevices[name];
+    this.status.wledDevices[name] = connected;
+
+    const devices = this.configManager.getWLEDDevices();
+    this.status.wled = devices.length > 0 && devices.every(device => this.status.wledDevices[device.name] === true);
+
+    if (previous === connected) return;
+
+    this.notifyStatusChange();
+
+    if (previous === false && connected) {
+      console.log(`WLED reconnected (${name})`);
+
+      // A device that was offline at startup has no effect/palette lists yet;
+      // load them before the scene is re-applied so its names resolve
+      const device = devices.find(d => d.name === name);
+      this.loadWLEDCatalog(device).then(() => {
+        this.validateWLEDNames();
+        if (this.onReconnect) {
+          this.onReconnect('wled', name);
+        }
+      });
+    }
+  }
+
+  /**
+   * Update the reachability of Home Assistant
+   * @param {boolean} connected - Whether Home Assistant responded
+   */
+  setHomeAssistantStatus(connected) {
+    const previous = this.status.homeAssistant;
+    this.status.homeAssistant = connected;
+
+    if (previous === connected) return;
+
+    this.notifyStatusChange();
+
+    if (previous === false && connected && this.initialized) {
+      console.log('Home Assistant reconnected');
+      if (this.onReconnect) {
+        this.onReconnect('homeAssistant', 'homeAssistant');
+      }
+    }
+  }
+
+  /**
+   * Notify status listeners
+   */
+  notifyStatusChange() {
+    if (this.onStatusChange) {
+      this.onStatusChange(this.getStatus());
+    }
+  }
+
+  /**
+   * Record a command that could not be delivered
+   * @param {string} target - Target key (e.g. wled:tv, homeAssistant)
+   * @param {string} description - What was being sent
+   * @param {string} reason - Why it failed
+   */
+  recordFailedCommand(target, description, reason) {
+    this.failedCommands.push({
+      time: new Date(),
+      target,
+      description,
+      reason
+    });
+
+    // Keep only the most recent failures
+    if (this.failedCommands.length > 50) {
+      this.failedCommands.shift();
+    }
+
+    this.notifyStatusChange();
+  }
+
+  /**
+   * Get recently failed commands (oldest first)
+   * @returns {Array<Object>} Failures ({ time, target, description, reason })
+   */
+  getFailedCommands() {
+    return [...this.failedCommands];
+  }
+
+  /**
+   * Start background health checks for every WLED device and Home Assistant
+   * Reachable targets are checked every `interval`; unreachable ones are retried
+   * starting at `retryInterval`, doubling up to `maxInterval`
+   */
+  startHealthMonitor() {
+    this.stopHealthMonitor();
+    this.healthMonitorRunning = true;
+
+    const { interval } = this.configManager.getHealthCheckConfig();
+
+    if (this.configManager.isWLEDEnabled()) {
+      this.configManager.getWLEDDevices().forEach(device => {
+        this.scheduleHealthCheck(`wled:${device.name}`, () => this.testWLEDDevice(device), interval);
+      });
+    }
+
+    if (this.configManager.isHomeAssistantEnabled()) {
+      this.scheduleHealthCheck('homeAssistant', () => this.testHomeAssistantConnection(), interval);
+    }
+
+    console.log('Connection health monitor started');
+  }
+
+  /**
+   * Stop background health checks
+   */
+  stopHealthMonitor() {
+    this.healthMonitorRunning = false;
+    Object.values(this.healthTimers).forEach(timer => clearTimeout(timer));
+    this.healthTimers = {};
+    this.healthFailures = {};
+  }
+
+  /**
+   * Schedule the next health check for a target
+   * @param {string} key - Target key
+   * @param {Function} check - Async check returning true when reachable
+   * @param {number} delay - Milliseconds until the check runs
+   */
+  scheduleHealthCheck(key, check, delay) {
+    this.healthTimers[key] = setTimeout(async () => {
+      const ok = await check();
+      if (!this.healthMonitorRunning) return;
+
+      const { interval, retryInterval, maxInterval } = this.configManager.getHealthCheckConfig();
+
+      // Back off while the target stays unreachable
+      const failures = ok ? 0 : (this.healthFailures[key] || 0) + 1;
+      this.healthFailures[key] = failures;
+
+      const next = ok ? interval : Math.min(retryInterval * 2 ** (failures - 1), maxInterval);
+      this.scheduleHealthCheck(key, check, next);
+    }, delay);
+  }
+
+  /**
+   * Load effect and palette lists from every WLED device
+   * Names are resolved against these lists, since IDs differ between firmware versions
+   */
+  async loadWLEDCatalogs() {
+    const devices = this.configManager.getWLEDDevices();
+
+    await Promise.all(devices.map(device => this.loadWLEDCatalog(device)));
+  }
+
+  /**
+   * Load the effect and palette lists from one WLED device
+   * @param {Object} device - WLED device ({ name, ip, port })
+   */
+  async loadWLEDCatalog(device) {
+    if (!device) return;
+
+    const [effects, palettes] = await Promise.all([
+      this.fetchWLEDList(device, '/json/effects'),
+      this.fetchWLEDList(device, '/json/palettes')
+    ]);
+
+    // Keep a previously loaded list if the device dropped out again
+    if (effects.length > 0 || !this.wledEffects[device.name]) {
+      this.wledEffects[device.name] = effects;
+    }
+    if (palettes.length > 0 || !this.wledPalettes[device.name]) {
+      this.wledPalettes[device.name] = palettes;
+    }
+
+    console.log(`WLED catalog loaded (${device.name}): ${effects.length} effects, ${palettes.length} palettes`);
+  }
+
+  /**
+   * Fetch a JSON name list from a WLED device
+   * @param {Object} device - WLED device ({ name, ip, port })
+   * @param {string} path - API path (/json/effects or /json/palettes)
+   * @returns {Promise<Array<string>>} Names indexed by ID (empty on failure)
+   */
+  async fetchWLEDList(device, path) {
+    try {
+      const response = await fetch(this.getWLEDUrl(device, path), {
+        method: 'GET',
+        signal: AbortSignal.timeout(3000)
+      });
+
+      if (!response.ok) {
+        throw new Error(response.statusText);
+      }
+
+      const list = await response.json();
+      return Array.isArray(list) ? list : [];
+    } catch (error) {
+      console.warn(`Could not load ${path} (${device.name}):`, error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Report a warning once (console and UI)
+   * @param {string} message - Warning message
+   */
+  warn(message) {
+    console.warn(message);
+
+    if (this.reportedWarnings.has(message)) return;
+    this.reportedWarnings.add(message);
+
+    if (this.onWarning) {
+      this.onWarning(message);
+    }
+  }
+
   /**
    * Test Home Assistant connection
    * @returns {Promise<boolean>}
@@ -82,18 +352,17 @@ class LightingController {
         signal: AbortSignal.timeout(3000)
       });
 
-      this.status.homeAssistant = response.ok;
-
-      if (this.status.homeAssistant) {
+      if (response.ok) {
         console.log('Home Assistant connection successful');
       } else {
         console.warn('Home Assistant connection failed');
       }
 
-      return this.status.homeAssistant;
+      this.setHomeAssistantStatus(response.ok);
+      return response.ok;
     } catch (error) {
       console.warn('Home Assistant connection error:', error.message);
-      this.status.homeAssistant = false;
+      this.setHomeAssistantStatus(false);
       return false;
     }
   }
@@ -103,21 +372,119 @@ class LightingController {
    * @returns {Object} Status of connections
    */
   getStatus() {
-    return { ...this.status };
+    return {
+      ...this.status,
+      wledDevices: { ...this.status.wledDevices }
+    };
   }
 
   /**
-   * Set WLED state
+   * Build a URL for a WLED device
+   * @param {Object} device - WLED device ({ name, ip, port })
+   * @param {string} path - API path (e.g. /json/state)
+   * @returns {string}
+   */
+  getWLEDUrl(device, path) {
+    return `http://${device.ip}:${device.port}${path}`;
+  }
+
+  /**
+   * Set WLED state on every device in a zone
+   * Commands to different devices are sent in parallel
    * @param {Object} state - WLED state object
    * @param {boolean} overrideDDP - If true, disable DDP/live mode to override external control (uses config default if not specified)
+   * @param {string} zone - Zone or device name (all devices if not specified)
    */
-  async setWLEDState(state, overrideDDP = null) {
+  async setWLEDState(state, overrideDDP = null, zone = null) {
     if (!this.configManager.isWLEDEnabled()) return;
 
-    try {
-      const config = this.configManager.getWLEDConfig();
-      const url = `http://${config.ip}:${config.port}/json/state`;
+    const devices = this.configManager.getWLEDZoneDevices(zone);
+
+    // A new command takes over from any software fade
+    devices.forEach(device => this.cancelFade(device.name));
+
+    await Promise.all(devices.map(device => this.postWLEDState(device, { ...state }, overrideDDP)));
+  }
+
+  /**
+   * Run a request to a WLED device once the device's previous request has finished
+   * Trigger events are dispatched without waiting for earlier ones, so without this a slow
+   * request (e.g. a flash) could arrive after a later one (e.g. the restore)
+   * @param {Object} device - WLED device ({ name, ip, port })
+   * @param {Function} request - Sends the request; must not reject
+   * @returns {Promise}
+   */
+  queueWLEDRequest(device, request) {
+    // States posted after this request must not be merged into one sent before it
+    delete this.pendingWLEDStates[device.name];
+
+    const previous = this.wledRequests[device.name] || Promise.resolve();
+    const current = previous.then(request);
+    this.wledRequests[device.name] = current;
+    return current;
+  }
+
+  /**
+   * Send a state object to a single WLED device
+   * Requests to the same device are sent one at a time, in order. States that pile up
+   * behind a slow request are merged, so only the newest one is sent next instead of
+   * replaying outdated ones late
+   * @param {Object} device - WLED device ({ name, ip, port })
+   * @param {Object} state - WLED state object
+   * @param {boolean} overrideDDP - If true, disable DDP/live mode (uses config default if not specified)
+   * @returns {Promise} Resolves once the state (or the merged state it went into) has been sent
+   */
+  postWLEDState(device, state, overrideDDP = null) {
+    const pending = this.pendingWLEDStates[device.name];
+    if (pending && pending.overrideDDP === overrideDDP) {
+      pending.state = this.mergeWLEDStates(pending.state, state);
+      return pending.sent;
+    }
+
+    const entry = { state, overrideDDP };
+    entry.sent = this.queueWLEDRequest(device, () => {
+      if (this.pendingWLEDStates[device.name] === entry) {
+        delete this.pendingWLEDStates[device.name];
+      }
+      return this.sendWLEDState(device, entry.state, entry.overrideDDP);
+    });
+    this.pendingWLEDStates[device.name] = entry;
+
+    return entry.sent;
+  }
+
+  /**
+   * Merge a newer WLED state into an older one that hasn't been sent yet
+   * Newer values win; segments are merged by ID
+   * @param {Object} older - Older state
+   * @param {Object} newer - Newer state
+   * @returns {Object} Merged state
+   */
+  mergeWLEDStates(older, newer) {
+    const merged = { ...older, ...newer };
+
+    if (older.seg || newer.seg) {
+      const segments = new Map();
+      [older.seg || [], newer.seg || []].forEach(list => {
+        list.forEach((seg, index) => {
+          const id = seg.id !== undefined ? seg.id : index;
+          segments.set(id, { ...segments.get(id), ...seg, id });
+        });
+      });
+      merged.seg = [...segments.values()];
+    }
+
+    return merged;
+  }
 
+  /**
+   * Send a state object to a single WLED device right away
+   * @param {Object} device - WLED device ({ name, ip, port })
+   * @param {Object} state - WLED state object
+   * @param {boolean} overrideDDP - If true, disable DDP/live mode (uses config default if not specified)
+   */
+  async sendWLEDState(device, state, overrideDDP = null) {
+    try {
       // Use config setting if not explicitly specified
       const shouldOverride = overrideDDP !== null ? overrideDDP : this.configManager.shouldOverrideDDP();
 
@@ -128,31 +495,283 @@ class LightingController {
         state.lor = 2;
       }
 
-      const response = await fetch(url, {
+      // Time out, so one unanswered request can't hold up the ones behind it
+      const response = await fetch(this.getWLEDUrl(device, '/json/state'), {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
         },
-        body: JSON.stringify(state)
+        body: JSON.stringify(state),
+        signal: AbortSignal.timeout(3000)
       });
 
       if (!response.ok) {
-        console.error('WLED state change failed:', response.statusText);
+        console.error(`WLED state change failed (${device.name}):`, response.statusText);
+        this.recordFailedCommand(`wled:${device.name}`, 'state change', response.statusText);
       } else {
-        console.log('WLED state updated', shouldOverride ? '(DDP blocked)' : '');
+        this.setWLEDDeviceStatus(device.name, true);
+        this.recordWLEDState(device, state);
+        console.log(`WLED state updated (${device.name})`, shouldOverride ? '(DDP blocked)' : '');
       }
     } catch (error) {
-      console.error('Error setting WLED state:', error);
+      console.error(`Error setting WLED state (${device.name}):`, error);
+      this.recordFailedCommand(`wled:${device.name}`, 'state change', error.message);
+
+      // A network error means the device is unreachable
+      this.setWLEDDeviceStatus(device.name, false);
     }
   }
 
+  /**
+   * Normalize a scene/trigger `wled` entry to a list of configs
+   * A single object addresses one zone (or all devices); an array addresses several zones
+   * @param {Object|Array} wled - WLED configuration(s)
+   * @returns {Array<Object>}
+   */
+  getWLEDConfigList(wled) {
+    if (!wled) return [];
+    return Array.isArray(wled) ? wled : [wled];
+  }
+
+  /**
+   * Get every WLED device a scene/trigger `wled` entry addresses
+   * @param {Object|Array} wled - WLED configuration(s)
+   * @returns {Array<Object>} Devices ({ name, ip, port })
+   */
+  getWLEDLightingDevices(wled) {
+    const devices = new Map();
+
+    this.getWLEDConfigList(wled).forEach(config => {
+      this.configManager.getWLEDZoneDevices(config.zone || null).forEach(device => devices.set(device.name, device));
+    });
+
+    return [...devices.values()];
+  }
+
+  /**
+   * Apply one or more WLED configurations in parallel
+   * @param {Object|Array} wled - WLED configuration(s), each optionally with a `zone`
+   * @param {number} fadeDuration - Optional fade duration in milliseconds (used when a config has no `duration`)
+   * @param {string} easing - Optional easing curve (used when a config has no `easing`)
+   */
+  async applyWLEDLighting(wled, fadeDuration = null, easing = null) {
+    const configs = this.getWLEDConfigList(wled).map(config => {
+      // Clone config to avoid modifying original
+      const wledConfig = { ...config };
+
+      // Add fade transition if specified (a config's own duration wins, e.g. a slow sunset)
+      if (fadeDuration !== null && fadeDuration > 0 && wledConfig.duration === undefined) {
+        wledConfig.duration = fadeDuration;
+      }
+
+      if (easing && wledConfig.easing === undefined) {
+        wledConfig.easing = easing;
+      }
+
+      return wledConfig;
+    });
+
+    await Promise.all(configs.map(config => this.applyWLEDConfig(config)));
+  }
+
   /**
    * Apply WLED configuration from scene/trigger
-   * @param {Object} config - WLED configuration
+   * @param {Object} config - WLED configuration (`zone` selects the devices, default: all)
    */
   async applyWLEDConfig(config) {
     if (!this.configManager.isWLEDEnabled() || !config) return;
 
+    const devices = this.configManager.getWLEDZoneDevices(config.zone || null);
+
+    // Effect and palette names resolve per device, so each device gets its own state
+    await Promise.all(devices.map(device => {
+      this.cancelFade(device.name);
+
+      const state = this.buildWLEDState(config, device);
+
+      // Fades beyond the device limit, or with a curve WLED can't do, are interpolated in software
+      const curved = config.easing && config.easing !== 'linear';
+      if (config.duration > this.maxWLEDTransition || (curved && config.duration > 0)) {
+        delete state.transition;
+        return this.startSoftwareFade(device, state, config.duration, config.easing);
+      }
+
+      return this.postWLEDState(device, state);
+    }));
+  }
+
+  /**
+   * Start a software fade on a device and return once the first step is sent
+   * Brightness and colors are interpolated in steps; effect, palette and segment
+   * ranges switch at the start. The fade keeps running in the background.
+   * @param {Object} device - WLED device ({ name, ip, port })
+   * @param {Object} target - Target WLED state (`on: false` fades to black, then turns off)
+   * @param {number} duration - Fade duration in milliseconds
+   * @param {string} easing - Easing curve (uses `lighting.wled.fadeEasing` if not specified)
+   * @returns {Promise<Object>} The fade handle, after the first step; its `done` resolves
+   *                            to true when the fade finishes, false if it is cancelled
+   */
+  async startSoftwareFade(device, target, duration, easing = null) {
+    const fade = {
+      cancelled: false,
+      easing: easing || this.configManager.getWLEDConfig().fadeEasing || 'linear',
+      endsAt: Date.now() + duration,
+      done: Promise.resolve(false)
+    };
+    this.activeFades[device.name] = fade;
+
+    // Start from what the device shows right now
+    const current = await this.captureWLEDDeviceState(device) || this.wledState[device.name] || { on: false, bri: 0 };
+    const from = this.getFadeEndpoint(current);
+    const to = this.getFadeEndpoint(target.on === false ? { bri: 0 } : target, from);
+
+    if (fade.cancelled) return fade;
+
+    // Nothing to fade out
+    if (target.on === false && from.bri === 0) {
+      delete this.activeFades[device.name];
+      await this.postWLEDState(device, { on: false });
+      fade.done = Promise.resolve(true);
+      return fade;
+    }
+
+    console.log(`Software fade started (${device.name}): ${duration / 1000}s, ${fade.easing}`);
+
+    // Switch effects and ranges right away, keeping the starting brightness and colors
+    const first = { ...target, on: true, bri: from.bri };
+    if (target.seg) {
+      first.seg = target.seg.map((seg, index) => {
+        const { col, ...rest } = seg;
+        return { ...rest, id: seg.id !== undefined ? seg.id : index };
+      });
+    }
+    await this.postWLEDState(device, first);
+
+    fade.done = this.runSoftwareFade(device, fade, from, to, target, duration);
+    return fade;
+  }
+
+  /**
+   * Step a software fade until it finishes or is cancelled
+   * @param {Object} device - WLED device
+   * @param {Object} fade - Fade handle
+   * @param {Object} from - Start endpoint ({ bri, seg })
+   * @param {Object} to - End endpoint ({ bri, seg })
+   * @param {Object} target - Full target state, sent when the fade completes
+   * @param {number} duration - Fade duration in milliseconds
+   * @returns {Promise<boolean>} True if the fade finished, false if it was cancelled
+   */
+  async runSoftwareFade(device, fade, from, to, target, duration) {
+    const stepInterval = this.configManager.getWLEDConfig().fadeStepInterval || 500;
+    const start = Date.now();
+
+    while (!fade.cancelled) {
+      await this.delay(stepInterval);
+      if (fade.cancelled) return false;
+
+      const t = Math.min(1, (Date.now() - start) / duration);
+      if (t >= 1) break;
+
+      const state = this.interpolateFade(from, to, Easing.apply(fade.easing, t));
+
+      // Let WLED smooth the gap between steps
+      state.transition = Math.round(stepInterval / 100);
+      await this.postWLEDState(device, state);
+    }
+
+    if (fade.cancelled) return false;
+    delete this.activeFades[device.name];
+
+    const final = target.on === false ? { on: false } : { ...target };
+    final.transition = Math.round(stepInterval / 100);
+    await this.postWLEDState(device, final);
+
+    console.log(`Software fade finished (${device.name})`);
+    return true;
+  }
+
+  /**
+   * Reduce a WLED state to the values a fade interpolates
+   * @param {Object} state - WLED state
+   * @param {Object} fallback - Endpoint to take missing values from
+   * @returns {Object} { bri, seg: [{ id, col }] }
+   */
+  getFadeEndpoint(state, fallback = null) {
+    let bri = state.on === false ? 0 : state.bri;
+    if (bri === undefined) {
+      bri = fallback ? fallback.bri : 0;
+    }
+
+    const seg = (state.seg || [])
+      .map((s, index) => ({ id: s.id !== undefined ? s.id : index, col: s.col }))
+      .filter(s => Array.isArray(s.col));
+
+    return { bri, seg };
+  }
+
+  /**
+   * Compute an intermediate fade state
+   * @param {Object} from - Start endpoint
+   * @param {Object} to - End endpoint
+   * @param {number} progress - Eased progress (0-1)
+   * @returns {Object} WLED state
+   */
+  interpolateFade(from, to, progress) {
+    const lerp = (a, b) => Math.round(a + (b - a) * progress);
+
+    const state = {
+      on: true,
+      bri: lerp(from.bri, to.bri)
+    };
+
+    if (to.seg.length > 0) {
+      state.seg = to.seg.map(seg => {
+        const start = from.seg.find(s => s.id === seg.id);
+
+        return {
+          id: seg.id,
+          col: seg.col.map((color, slot) => {
+            const startColor = start?.col?.[slot] || color;
+            return color.map((channel, i) => lerp(startColor[i] ?? channel, channel));
+          })
+        };
+      });
+    }
+
+    return state;
+  }
+
+  /**
+   * Cancel a running software fade
+   * @param {string} deviceName - WLED device name
+   */
+  cancelFade(deviceName) {
+    const fade = this.activeFades[deviceName];
+    if (!fade) return;
+
+    fade.cancelled = true;
+    delete this.activeFades[deviceName];
+    console.log(`Software fade cancelled (${deviceName})`);
+  }
+
+  /**
+   * Get when the running software fades end
+   * @returns {number|null} Date.now() time the last one ends, or null if none is running
+   */
+  getSoftwareFadeEnd() {
+    const ends = Object.values(this.activeFades).map(fade => fade.endsAt);
+    return ends.length > 0 ? Math.max(...ends) : null;
+  }
+
+  /**
+   * Build a WLED state object from a scene/trigger configuration
+   * Without `segments`, color/effect settings go to the first segment.
+   * With `segments`, top-level color/effect settings are defaults for every segment.
+   * @param {Object} config - WLED configuration
+   * @param {Object} device - WLED device the state is built for (resolves effect/palette names)
+   * @returns {Object} WLED state object
+   */
+  buildWLEDState(config, device) {
     const state = {
       on: true
     };
@@ -161,50 +780,246 @@ class LightingController {
       state.bri = config.brightness;
     }
 
-    if (config.color !== undefined) {
-      // WLED expects RGB array
-      state.seg = [{
-        col: [config.color]
-      }];
+    if (Array.isArray(config.segments)) {
+      state.seg = config.segments.map((segment, index) => {
+        // A segment's own color or colors replace both top-level defaults
+        const { color, colors, ...defaults } = config;
+        const colorDefaults = segment.color === undefined && segment.colors === undefined ? { color, colors } : {};
+
+        return this.buildWLEDSegment({
+          ...defaults,
+          ...colorDefaults,
+          id: index,
+          ...segment
+        }, device);
+      });
+    } else {
+      const segment = this.buildWLEDSegment(config, device);
+      if (Object.keys(segment).length > 0) {
+        state.seg = [segment];
+      }
     }
 
-    if (config.effect !== undefined) {
-      // Map effect names to WLED effect IDs (this may need adjustment)
-      const effectMap = {
-        'Solid': 0,
-        'Blink': 1,
-        'Breathe': 2,
-        'Wipe': 3,
-        'Chase': 28,
-        'Fire': 44,
-        'Flicker': 96,
-        'Candle Multi': 88
-      };
+    // Add transition time if specified (in deciseconds, 0-255)
+    // duration is specified in ms, WLED uses deciseconds (1/10 second)
+    if (config.duration !== undefined) {
+      state.transition = Math.min(255, Math.round(config.duration / 100));
+    }
+
+    return state;
+  }
+
+  /**
+   * Build a single WLED segment entry
+   * @param {Object} config - Segment configuration (id, start, stop, color/colors, effect, speed, intensity, palette)
+   * @param {Object} device - WLED device the segment is built for
+   * @returns {Object} WLED segment object
+   */
+  buildWLEDSegment(config, device) {
+    const segment = {};
 
-      const effectId = effectMap[config.effect] || 0;
-      if (!state.seg) state.seg = [{}];
-      state.seg[0].fx = effectId;
+    if (config.id !== undefined) {
+      segment.id = config.id;
+    }
+
+    // Segment range (LED indices, stop is exclusive)
+    if (config.start !== undefined) {
+      segment.start = config.start;
+    }
+
+    if (config.stop !== undefined) {
+      segment.stop = config.stop;
+    }
+
+    // WLED expects an array of up to three RGB arrays (primary, secondary, tertiary)
+    if (config.colors !== undefined) {
+      segment.col = config.colors.slice(0, 3);
+    } else if (config.color !== undefined) {
+      segment.col = [config.color];
+    }
+
+    if (config.effect !== undefined) {
+      const effectId = this.resolveEffectId(config.effect, device);
+      if (effectId !== null) {
+        segment.fx = effectId;
+      }
     }
 
     // Add effect speed if specified (0-255, lower = slower)
     if (config.speed !== undefined) {
-      if (!state.seg) state.seg = [{}];
-      state.seg[0].sx = Math.min(255, Math.max(0, config.speed));
+      segment.sx = Math.min(255, Math.max(0, config.speed));
     }
 
     // Add effect intensity if specified (0-255, lower = more subtle)
     if (config.intensity !== undefined) {
-      if (!state.seg) state.seg = [{}];
-      state.seg[0].ix = Math.min(255, Math.max(0, config.intensity));
+      segment.ix = Math.min(255, Math.max(0, config.intensity));
     }
 
-    // Add transition time if specified (in deciseconds, 0-255)
-    // duration is specified in ms, WLED uses deciseconds (1/10 second)
-    if (config.duration !== undefined) {
-      state.transition = Math.min(255, Math.round(config.duration / 100));
+    if (config.palette !== undefined) {
+      const paletteId = this.resolvePaletteId(config.palette, device);
+      if (paletteId !== null) {
+        segment.pal = paletteId;
+      }
+    }
+
+    return segment;
+  }
+
+  /**
+   * Resolve a name case-insensitively against a device's name list
+   * @param {Array<string>} names - Names indexed by ID
+   * @param {string|number} value - Name or numeric ID
+   * @returns {number|null} The ID, or null if the name is unknown
+   */
+  resolveWLEDName(names, value) {
+    if (typeof value === 'number') return value;
+
+    const wanted = String(value).trim().toLowerCase();
+    const index = (names || []).findIndex(name => name.toLowerCase() === wanted);
+    return index > -1 ? index : null;
+  }
+
+  /**
+   * Map an effect name to the device's WLED effect ID
+   * Unknown names raise a warning and leave the current effect unchanged.
+   * Until the device's list is loaded, names stay unresolved without a warning
+   * @param {string|number} effect - Effect name or numeric ID
+   * @param {Object} device - WLED device
+   * @returns {number|null} WLED effect ID
+   */
+  resolveEffectId(effect, device) {
+    const effects = this.wledEffects[device.name] || [];
+    const effectId = this.resolveWLEDName(effects, effect);
+
+    if (effectId === null && effects.length > 0) {
+      this.warn(`Unknown WLED effect "${effect}" on ${device.name}`);
+    }
+
+    return effectId;
+  }
+
+  /**
+   * Map a palette name to the device's WLED palette ID
+   * Unknown names raise a warning and leave the current palette unchanged.
+   * Until the device's list is loaded, names stay unresolved without a warning
+   * @param {string|number} palette - Palette name or numeric ID
+   * @param {Object} device - WLED device
+   * @returns {number|null} WLED palette ID
+   */
+  resolvePaletteId(palette, device) {
+    const palettes = this.wledPalettes[device.name] || [];
+    const paletteId = this.resolveWLEDName(palettes, palette);
+
+    if (paletteId === null && palettes.length > 0) {
+      this.warn(`Unknown WLED palette "${palette}" on ${device.name}`);
+    }
+
+    return paletteId;
+  }
+
+  /**
+   * Check every scene and trigger for effect or palette names the devices don't know
+   * Each unknown name is reported through warn()
+   */
+  validateWLEDNames() {
+    const configs = [];
+
+    Object.values(this.configManager.getScenes()).forEach(scene => {
+      configs.push(...this.getWLEDConfigList(scene.lighting?.wled));
+    });
+
+    Object.values(this.configManager.getTriggers()).forEach(trigger => {
+      this.configManager.getTriggerSequences(trigger).flat().forEach(event => {
+        configs.push(...this.getWLEDConfigList(event.lighting?.wled));
+      });
+    });
+
+    configs.forEach(config => {
+      const devices = this.configManager.getWLEDZoneDevices(config.zone || null);
+      const entries = [config, ...(config.segments || [])];
+
+      devices.forEach(device => {
+        // A device without a catalog couldn't be reached; its names can't be checked
+        if (!this.wledEffects[device.name] || this.wledEffects[device.name].length === 0) return;
+
+        entries.forEach(entry => {
+          if (entry.effect !== undefined) this.resolveEffectId(entry.effect, device);
+          if (entry.palette !== undefined) this.resolvePaletteId(entry.palette, device);
+        });
+      });
+    });
+  }
+
+  /**
+   * Get a display name for a WLED effect ID
+   * @param {number} effectId - WLED effect ID
+   * @param {string} deviceName - WLED device name
+   * @returns {string}
+   */
+  getEffectName(effectId, deviceName) {
+    return this.wledEffects[deviceName]?.[effectId] || `Effect ${effectId}`;
+  }
+
+  /**
+   * Get a display name for a WLED palette ID
+   * @param {number} paletteId - WLED palette ID
+   * @param {string} deviceName - WLED device name
+   * @returns {string}
+   */
+  getPaletteName(paletteId, deviceName) {
+    return this.wledPalettes[deviceName]?.[paletteId] || `Palette ${paletteId}`;
+  }
+
+  /**
+   * Record a state sent to a device so the UI can show what each segment is doing
+   * @param {Object} device - WLED device ({ name, ip, port })
+   * @param {Object} state - WLED state object that was sent
+   */
+  recordWLEDState(device, state) {
+    const current = this.wledState[device.name] || { on: false, bri: 0, segments: {} };
+
+    if (state.on !== undefined) current.on = state.on;
+    if (state.bri !== undefined) current.bri = state.bri;
+
+    (state.seg || []).forEach((seg, index) => {
+      const id = seg.id !== undefined ? seg.id : index;
+
+      // stop 0 deletes the segment
+      if (seg.stop === 0) {
+        delete current.segments[id];
+        return;
+      }
+
+      current.segments[id] = { ...current.segments[id], ...seg, id };
+    });
+
+    this.wledState[device.name] = current;
+
+    if (this.onStateChange) {
+      this.onStateChange();
     }
+  }
+
+  /**
+   * Get the last known state of each WLED device
+   * @returns {Object} Device name -> { on, bri, segments: [{ id, start, stop, col, fx, effectName, sx, ix, pal, paletteName }] }
+   */
+  getWLEDState() {
+    const result = {};
 
-    await this.setWLEDState(state);
+    Object.entries(this.wledState).forEach(([name, state]) => {
+      result[name] = {
+        on: state.on,
+        bri: state.bri,
+        segments: Object.values(state.segments).map(seg => ({
+          ...seg,
+          effectName: seg.fx !== undefined ? this.getEffectName(seg.fx, name) : null,
+          paletteName: seg.pal !== undefined ? this.getPaletteName(seg.pal, name) : null
+        }))
+      };
+    });
+
+    return result;
   }
 
   /**
@@ -233,146 +1048,343 @@ class LightingController {
         console.log(`Home Assistant command sent: ${command}`);
       } else {
         console.error('Home Assistant command failed:', response.statusText);
+        this.recordFailedCommand('homeAssistant', `command "${command}"`, response.statusText);
       }
     } catch (error) {
       console.error('Error sending Home Assistant command:', error);
+      this.recordFailedCommand('homeAssistant', `command "${command}"`, error.message);
+      this.setHomeAssistantStatus(false);
     }
   }
 
   /**
-   * Apply lighting configuration from scene
-   * @param {Object} lightingConfig - Lighting configuration from scene
+   * Call a Home Assistant service
+   * @param {string} domain - Service domain (e.g. light, scene, script)
+   * @param {string} service - Service name (e.g. turn_on)
+   * @param {Object} data - Service data (entity_id, brightness, ...)
+   * @returns {Promise<boolean>} True if the call succeeded
+   */
+  async callHomeAssistantService(domain, service, data = {}) {
+    if (!this.configManager.isHomeAssistantEnabled()) return false;
+
+    try {
+      const config = this.configManager.getHomeAssistantConfig();
+      const url = `http://${config.ip}:${config.port}/api/services/${domain}/${service}`;
+
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${config.token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(data)
+      });
+
+      if (response.ok) {
+        console.log(`Home Assistant service called: ${domain}.${service}`, data.entity_id || '');
+      } else {
+        console.error(`Home Assistant service ${domain}.${service} failed:`, response.statusText);
+        this.recordFailedCommand('homeAssistant', `${domain}.${service}`, response.statusText);
+      }
+
+      return response.ok;
+    } catch (error) {
+      console.error(`Error calling Home Assistant service ${domain}.${service}:`, error);
+      this.recordFailedCommand('homeAssistant', `${domain}.${service}`, error.message);
+      this.setHomeAssistantStatus(false);
+      return false;
+    }
+  }
+
+  /**
+   * Run a single Home Assistant action from a scene or trigger
+   * A string is sent as a Google Home command; an object calls a service, e.g.
+   * { "service": "light.turn_on", "entity_id": "light.table", "rgb_color": [255, 0, 0], "brightness": 128, "transition": 2 }
+   * @param {string|Object} action - Command text or service call
+   */
+  async applyHomeAssistantAction(action) {
+    if (typeof action === 'string') {
+      await this.sendHomeAssistantCommand(action);
+      return;
+    }
+
+    if (!action || typeof action.service !== 'string' || !action.service.includes('.')) {
+      console.error('Invalid Home Assistant action (expected "domain.service"):', action);
+      return;
+    }
+
+    const { service, ...data } = action;
+    const [domain, name] = service.split('.');
+
+    await this.callHomeAssistantService(domain, name, data);
+  }
+
+  /**
+   * Run one or more Home Assistant actions in order
+   * @param {string|Object|Array} actions - Command text, service call, or an array of them
+   */
+  async applyHomeAssistantLighting(actions) {
+    if (!actions) return;
+
+    const list = Array.isArray(actions) ? actions : [actions];
+
+    for (let i = 0; i < list.length; i++) {
+      if (i > 0) {
+        await this.delay(100); // Small delay between commands
+      }
+      await this.applyHomeAssistantAction(list[i]);
+    }
+  }
+
+  /**
+   * Turn off a set of Home Assistant entities
+   * Lights are faded with a transition; other domains use homeassistant.turn_off
+   * @param {Array<string>} entities - Entity IDs
    * @param {number} fadeDuration - Optional fade duration in milliseconds
    */
-  async applySceneLighting(lightingConfig, fadeDuration = null) {
-    if (!lightingConfig) return;
+  async turnOffHomeAssistantEntities(entities, fadeDuration = null) {
+    if (!this.configManager.isHomeAssistantEnabled() || !entities || entities.length === 0) return;
 
-    // Apply WLED configuration
-    if (lightingConfig.wled) {
-      // Clone config to avoid modifying original
-      const wledConfig = { ...lightingConfig.wled };
+    const lights = entities.filter(entity => entity.startsWith('light.'));
+    const others = entities.filter(entity => !entity.startsWith('light.'));
+
+    const calls = [];
 
-      // Add fade transition if specified
+    if (lights.length > 0) {
+      const data = { entity_id: lights };
       if (fadeDuration !== null && fadeDuration > 0) {
-        wledConfig.duration = fadeDuration;
+        data.transition = fadeDuration / 1000; // Home Assistant uses seconds
       }
+      calls.push(this.callHomeAssistantService('light', 'turn_off', data));
+    }
 
-      await this.applyWLEDConfig(wledConfig);
+    if (others.length > 0) {
+      calls.push(this.callHomeAssistantService('homeassistant', 'turn_off', { entity_id: others }));
     }
 
-    // Apply Home Assistant commands
+    await Promise.all(calls);
+  }
+
+  /**
+   * Apply lighting configuration from scene
+   * @param {Object} lightingConfig - Lighting configuration from scene
+   * @param {number} fadeDuration - Optional fade duration in milliseconds
+   * @param {string} easing - Optional easing curve for WLED fades
+   */
+  async applySceneLighting(lightingConfig, fadeDuration = null, easing = null) {
+    if (!lightingConfig) return;
+
+    // Apply WLED configuration (all zones in parallel)
+    if (lightingConfig.wled) {
+      await this.applyWLEDLighting(lightingConfig.wled, fadeDuration, easing);
+    }
+
+    // Apply Home Assistant commands and service calls
     if (lightingConfig.homeAssistant) {
-      if (Array.isArray(lightingConfig.homeAssistant)) {
-        for (const command of lightingConfig.homeAssistant) {
-          await this.sendHomeAssistantCommand(command);
-          await this.delay(100); // Small delay between commands
-        }
-      } else {
-        await this.sendHomeAssistantCommand(lightingConfig.homeAssistant);
-      }
+      await this.applyHomeAssistantLighting(lightingConfig.homeAssistant);
     }
   }
 
   /**
-   * Execute a lighting trigger sequence
-   * @param {Array} sequence - Array of timed lighting events
+   * Capture the current WLED state of every device so it can be restored later
+   * Reads GET /json/state and keeps power, brightness and full segment state
+   * (ranges, colors, effect, speed, intensity, palette)
+   * @returns {Promise<Object|null>} Device name -> snapshot, or null if nothing could be read
    */
-  async executeTriggerSequence(sequence) {
-    if (!sequence || !Array.isArray(sequence)) return;
+  async captureWLEDState() {
+    if (!this.configManager.isWLEDEnabled()) return null;
 
-    for (const event of sequence) {
-      // Wait for the specified delay
-      if (event.delay > 0) {
-        await this.delay(event.delay);
+    const devices = this.configManager.getWLEDDevices();
+    const snapshots = await Promise.all(devices.map(device => this.captureWLEDDeviceState(device)));
+
+    const saved = {};
+    devices.forEach((device, index) => {
+      if (snapshots[index]) {
+        saved[device.name] = snapshots[index];
       }
+    });
 
-      // Apply lighting changes
-      if (event.lighting) {
-        if (event.lighting.wled) {
-          // Check for restore command
-          if (event.lighting.wled.restore) {
-            await this.restoreWLEDState();
-          } else {
-            await this.applyWLEDConfig(event.lighting.wled);
-          }
-        }
+    this.savedWLEDState = Object.keys(saved).length > 0 ? saved : null;
+    return this.savedWLEDState;
+  }
 
-        if (event.lighting.homeAssistant) {
-          await this.sendHomeAssistantCommand(event.lighting.homeAssistant);
-        }
+  /**
+   * Capture the current state of a single WLED device
+   * The read waits behind queued writes, so it sees the state they set
+   * @param {Object} device - WLED device ({ name, ip, port })
+   * @returns {Promise<Object|null>} The snapshot, or null on failure
+   */
+  captureWLEDDeviceState(device) {
+    return this.queueWLEDRequest(device, () => this.readWLEDDeviceState(device));
+  }
+
+  /**
+   * Read the current state of a single WLED device right away
+   * @param {Object} device - WLED device ({ name, ip, port })
+   * @returns {Promise<Object|null>} The snapshot, or null on failure
+   */
+  async readWLEDDeviceState(device) {
+    try {
+      const response = await fetch(this.getWLEDUrl(device, '/json/state'), {
+        method: 'GET',
+        signal: AbortSignal.timeout(3000)
+      });
+
+      if (!response.ok) {
+        throw new Error(response.statusText);
       }
+
+      const state = await response.json();
+
+      console.log(`WLED state captured (${device.name})`);
+
+      // Only keep what describes the look of the strip; presets, playlists,
+      // nightlight and sync settings must not be re-applied on restore
+      return {
+        on: state.on,
+        bri: state.bri,
+        mainseg: state.mainseg,
+        seg: JSON.parse(JSON.stringify(state.seg || []))
+      };
+    } catch (error) {
+      console.warn(`Could not capture WLED state (${device.name}):`, error.message);
+      return null;
     }
   }
 
   /**
-   * Restore previous WLED state (for now, just turn off)
-   * TODO: Implement state saving/restoration
+   * Check if a WLED snapshot is available to restore
+   * @returns {boolean}
    */
-  async restoreWLEDState() {
+  hasSavedWLEDState() {
+    return this.savedWLEDState !== null;
+  }
+
+  /**
+   * Restore the WLED state captured by captureWLEDState()
+   * Devices without a snapshot are turned off. Segments created after the snapshot are deleted
+   * @param {number} fadeDuration - Optional fade duration in milliseconds
+   * @param {string} zone - Zone or device name to restore (all devices if not specified)
+   */
+  async restoreWLEDState(fadeDuration = null, zone = null) {
     if (!this.configManager.isWLEDEnabled()) return;
 
-    // For now, just turn off the lights
-    // Future enhancement: save state before trigger and restore it here
-    await this.setWLEDState({ on: false });
-    console.log('WLED state restored (turned off)');
+    const devices = this.configManager.getWLEDZoneDevices(zone);
+
+    await Promise.all(devices.map(device => {
+      const snapshot = this.savedWLEDState?.[device.name];
+
+      this.cancelFade(device.name);
+
+      if (!snapshot) {
+        console.log(`WLED state restored (${device.name}, no snapshot, turned off)`);
+        return this.postWLEDState(device, { on: false });
+      }
+
+      // Clone so the request can't modify the snapshot
+      const state = JSON.parse(JSON.stringify(snapshot));
+
+      // Remove segments added since the snapshot (e.g. by a trigger); stop 0 deletes a segment
+      const highest = Math.max(-1, ...state.seg.map((seg, index) => (seg.id !== undefined ? seg.id : index)));
+      Object.keys(this.wledState[device.name]?.segments || {})
+        .map(Number)
+        .filter(id => id > highest)
+        .forEach(id => state.seg.push({ id, stop: 0 }));
+
+      if (fadeDuration > this.maxWLEDTransition) {
+        console.log(`WLED state restoring from snapshot (${device.name}, software fade)`);
+        return this.startSoftwareFade(device, state, fadeDuration);
+      }
+
+      if (fadeDuration !== null && fadeDuration > 0) {
+        state.transition = Math.min(255, Math.round(fadeDuration / 100));
+      }
+
+      console.log(`WLED state restored from snapshot (${device.name})`);
+      return this.postWLEDState(device, state);
+    }));
   }
 
   /**
-   * Re-enable DDP/live mode on WLED
+   * Re-enable DDP/live mode on every WLED device
    * Call this to return control to external DDP sources
    */
   async enableWLEDLiveMode() {
     if (!this.configManager.isWLEDEnabled()) return;
 
-    try {
-      const config = this.configManager.getWLEDConfig();
-      const url = `http://${config.ip}:${config.port}/json/state`;
+    const devices = this.configManager.getWLEDDevices();
 
-      const response = await fetch(url, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          lor: 0  // Reset live override to allow realtime/DDP to work again
-        })
-      });
+    await Promise.all(devices.map(device => this.queueWLEDRequest(device, async () => {
+      try {
+        const response = await fetch(this.getWLEDUrl(device, '/json/state'), {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({
+            lor: 0  // Reset live override to allow realtime/DDP to work again
+          }),
+          signal: AbortSignal.timeout(3000)
+        });
 
-      if (response.ok) {
-        console.log('WLED live/DDP mode re-enabled');
+        if (response.ok) {
+          console.log(`WLED live/DDP mode re-enabled (${device.name})`);
+        }
+      } catch (error) {
+        console.error(`Error enabling WLED live mode (${device.name}):`, error);
       }
-    } catch (error) {
-      console.error('Error enabling WLED live mode:', error);
+    })));
+  }
+
+  /**
+   * Turn off WLED devices, fading in software beyond the WLED transition limit
+   * @param {Array<Object>} devices - WLED devices
+   * @param {number} fadeDuration - Optional fade duration in milliseconds
+   * @returns {Promise<Object>} Resolves once the lights are going off, with `done` resolving at the
+   *                           end of the fade (true if every fade finished, false if one was cancelled)
+   */
+  async turnOffWLEDDevices(devices, fadeDuration = null) {
+    devices.forEach(device => this.cancelFade(device.name));
+
+    if (fadeDuration > this.maxWLEDTransition) {
+      const fades = await Promise.all(devices.map(device => this.startSoftwareFade(device, { on: false }, fadeDuration)));
+      return { done: Promise.all(fades.map(fade => fade.done)).then(results => results.every(Boolean)) };
     }
+
+    const state = { on: false };
+
+    // Add fade transition if specified
+    if (fadeDuration !== null && fadeDuration > 0) {
+      state.transition = Math.round(fadeDuration / 100);
+    }
+
+    await Promise.all(devices.map(device => this.postWLEDState(device, { ...state })));
+    return { done: Promise.resolve(true) };
   }
 
   /**
    * Turn off all lights
+   * Includes the Home Assistant entities listed in `lighting.homeAssistant.offEntities`
    * @param {boolean} reenableDDP - If true, re-enable DDP mode after turning off (uses config default if not specified)
    * @param {number} fadeDuration - Optional fade duration in milliseconds
    */
   async turnOffAll(reenableDDP = null, fadeDuration = null) {
     if (this.configManager.isWLEDEnabled()) {
-      const state = { on: false };
-
-      // Add fade transition if specified
-      if (fadeDuration !== null && fadeDuration > 0) {
-        state.transition = Math.min(255, Math.round(fadeDuration / 100));
-      }
-
-      await this.setWLEDState(state);
-
       // Use config setting if not explicitly specified
       const shouldReenable = reenableDDP !== null ? reenableDDP : this.configManager.shouldReenableDDPOnStop();
 
-      // Optionally re-enable DDP to return control to external source
+      const { done } = await this.turnOffWLEDDevices(this.configManager.getWLEDDevices(), fadeDuration);
+
+      // Optionally re-enable DDP to return control to external source (once it's dark).
+      // A fade cut short by a new scene or trigger leaves the lights to that instead
       if (shouldReenable) {
-        await this.enableWLEDLiveMode();
+        done.then(finished => {
+          if (finished) this.enableWLEDLiveMode();
+        });
       }
     }
 
-    // Note: Turning off Home Assistant lights would need specific entity IDs
-    // This would be configured per-installation in config.json if needed
+    await this.turnOffHomeAssistantEntities(this.configManager.getHomeAssistantOffEntities(), fadeDuration);
   }
 
   /**
@@ -94,12 +94,47 @@ class MusicManager {
     }, 0);
   }
 
+  /**
+   * Find the collection a "category/collection" name refers to
+   * @param {string} name - "category/collection"
+   * @returns {Object|null} { category, collection }, or null if the music index has no such collection
+   */
+  findCollection(name) {
+    if (typeof name !== 'string') return null;
+
+    const slash = name.indexOf('/');
+    if (slash === -1) return null;
+
+    const category = name.substring(0, slash);
+    const collection = name.substring(slash + 1);
+
+    return this.getTracks(category, collection).length > 0 ? { category, collection } : null;
+  }
+
+  /**
+   * Play music from a scene-style source
+   * @param {string|Array} source - "category/collection" from the music index, audio file, playlist file or array of tracks
+   * @param {number} fadeInDuration - Fade-in in milliseconds (uses `audio.fadeIn.music` if not specified)
+   */
+  async playSource(source, fadeInDuration = null) {
+    const found = this.findCollection(source);
+
+    if (found) {
+      await this.playCollection(found.category, found.collection, fadeInDuration);
+      return;
+    }
+
+    this.currentCollection = null;
+    await this.audioEngine.playMusic(source, true, false, fadeInDuration);
+  }
+
   /**
    * Play a collection (shuffled)
    * @param {string} category - Category name
    * @param {string} collection - Collection name
+   * @param {number} fadeInDuration - Fade-in in milliseconds (uses `audio.fadeIn.music` if not specified)
    */
-  async playCollection(category, collection) {
+  async playCollection(category, collection, fadeInDuration = null) {
     const tracks = this.getTracks(category, collection);
 
     if (tracks.length === 0) {
@@ -113,7 +148,7 @@ class MusicManager {
     this.currentCollection = { category, collection };
 
     console.log(`Playing collection: ${category}/${collection} (${tracks.length} tracks, shuffled)`);
-    await this.audioEngine.playMusic(fullPaths, true, true);
+    await this.audioEngine.playMusic(fullPaths, true, true, fadeInDuration);
   }
 
   /**
@@ -128,6 +163,112 @@ class MusicManager {
     await this.audioEngine.playMusic(fullPath, false, false);
   }
 
+  /**
+   * Add a collection to the queue (starts playing it if nothing is playing)
+   * @param {string} category - Category name
+   * @param {string} collection - Collection name
+   * @param {string} position - "next" (after the current track) or "end" (default: "end")
+   */
+  async queueCollection(category, collection, position = 'end') {
+    const tracks = this.getTracks(category, collection);
+
+    if (tracks.length === 0) {
+      console.error(`No tracks found in ${category}/${collection}`);
+      return;
+    }
+
+    if (!this.getCurrentTrack()) {
+      this.currentCollection = { category, collection };
+    }
+
+    console.log(`Queueing collection: ${category}/${collection} (${tracks.length} tracks, ${position})`);
+    await this.audioEngine.enqueue(tracks.map(track => `music/${track}`), position);
+  }
+
+  /**
+   * Add a single track to the queue (starts playing it if nothing is playing)
+   * @param {string} trackPath - Path to the track (relative to music/)
+   * @param {string} position - "next" (after the current track) or "end" (default: "end")
+   */
+  async queueTrack(trackPath, position = 'end') {
+    if (!this.getCurrentTrack()) {
+      this.currentCollection = null;
+    }
+
+    console.log(`Queueing track: ${trackPath} (${position})`);
+    await this.audioEngine.enqueue(`music/${trackPath}`, position);
+  }
+
+  /**
+   * Get the queue
+   * @returns {Object} { id, entries: [{ id, path, title }], index, shuffle, repeat, title }
+   */
+  getQueue() {
+    return this.audioEngine.getQueue();
+  }
+
+  /**
+   * Move an upcoming queue entry
+   * @param {number} id - Queue entry id
+   * @param {number} position - New index into the queue
+   * @returns {boolean} Whether the entry moved
+   */
+  moveQueueEntry(id, position) {
+    return this.audioEngine.moveQueueEntry(id, position);
+  }
+
+  /**
+   * Remove a queue entry
+   * @param {number} id - Queue entry id
+   * @returns {boolean} Whether the entry was removed
+   */
+  removeQueueEntry(id) {
+    return this.audioEngine.removeQueueEntry(id);
+  }
+
+  /**
+   * Jump to a queue entry
+   * @param {number} id - Queue entry id
+   */
+  playQueueEntry(id) {
+    this.audioEngine.playQueueEntry(id);
+  }
+
+  /**
+   * Turn shuffle on or off without restarting the current track
+   * @param {boolean} enabled - Whether to shuffle
+   */
+  setShuffle(enabled) {
+    this.audioEngine.setShuffle(enabled);
+  }
+
+  /**
+   * Set the repeat mode
+   * @param {string} mode - "all", "one" or "off"
+   */
+  setRepeatMode(mode) {
+    this.audioEngine.setRepeatMode(mode);
+  }
+
+  /**
+   * Capture the current music (queue, position and collection)
+   * @returns {Object|null} Snapshot, or null if no music is playing
+   */
+  getMusicSnapshot() {
+    const snapshot = this.audioEngine.getMusicSnapshot();
+    return snapshot && { ...snapshot, collection: this.currentCollection };
+  }
+
+  /**
+   * Put back music captured with getMusicSnapshot
+   * @param {Object|null} snapshot - Snapshot (null stops the music)
+   * @param {number} fadeInDuration - Fade-in in milliseconds (uses `audio.fadeIn.music` if not specified)
+   */
+  async restoreMusicSnapshot(snapshot, fadeInDuration = null) {
+    this.currentCollection = snapshot?.collection || null;
+    await this.audioEngine.restoreMusicSnapshot(snapshot, fadeInDuration);
+  }
+
   /**
    * Stop music playback
    */
@@ -0,0 +1,262 @@
+/**
+ * Playlist Parser
+ * Reads .m3u/.m3u8 (including #EXTM3U metadata), .pls and .xspf playlists
+ * into a common list of tracks with titles and durations
+ */
+
+class PlaylistParser {
+  /**
+   * Supported playlist file extensions
+   * @returns {Array<string>}
+   */
+  static get extensions() {
+    return ['.m3u', '.m3u8', '.pls', '.xspf'];
+  }
+
+  /**
+   * Check if a path points to a playlist file
+   * @param {string} path - File path
+   * @returns {boolean}
+   */
+  static isPlaylist(path) {
+    if (typeof path !== 'string') return false;
+
+    const lower = path.split('?')[0].toLowerCase();
+    return PlaylistParser.extensions.some(ext => lower.endsWith(ext));
+  }
+
+  /**
+   * Load and parse a playlist file
+   * @param {string} playlistPath - Path to the playlist
+   * @returns {Promise<Object>} { title, tracks: [{ path, title, duration }] } (empty on error)
+   */
+  static async load(playlistPath) {
+    try {
+      const response = await fetch(playlistPath);
+      if (!response.ok) {
+        throw new Error(`Failed to load playlist: ${response.statusText}`);
+      }
+
+      const content = PlaylistParser.decode(await response.arrayBuffer(), playlistPath);
+      const playlist = PlaylistParser.parse(content, playlistPath);
+
+      console.log(`Loaded playlist: ${playlistPath} (${playlist.tracks.length} tracks)`);
+      return playlist;
+    } catch (error) {
+      console.error(`Error parsing playlist ${playlistPath}:`, error);
+      return { title: null, tracks: [] };
+    }
+  }
+
+  /**
+   * Decode playlist bytes
+   * .m3u8, .pls and .xspf are UTF-8; plain .m3u is UTF-8 when valid, otherwise Windows-1252
+   * @param {ArrayBuffer} data - File contents
+   * @param {string} playlistPath - Path (for the format)
+   * @returns {string}
+   */
+  static decode(data, playlistPath) {
+    let text;
+
+    if (playlistPath.toLowerCase().endsWith('.m3u')) {
+      try {
+        text = new TextDecoder('utf-8', { fatal: true }).decode(data);
+      } catch (error) {
+        text = new TextDecoder('windows-1252').decode(data);
+      }
+    } else {
+      text = new TextDecoder('utf-8').decode(data);
+    }
+
+    // Drop a byte order mark
+    return text.replace(/^\uFEFF/, '');
+  }
+
+  /**
+   * Parse playlist text by its file extension
+   * @param {string} content - Playlist text
+   * @param {string} playlistPath - Path to the playlist (for the format and relative paths)
+   * @returns {Object} { title, tracks: [{ path, title, duration }] }
+   */
+  static parse(content, playlistPath) {
+    const lower = playlistPath.split('?')[0].toLowerCase();
+
+    if (lower.endsWith('.pls')) {
+      return PlaylistParser.parsePLS(content, playlistPath);
+    }
+
+    if (lower.endsWith('.xspf')) {
+      return PlaylistParser.parseXSPF(content, playlistPath);
+    }
+
+    return PlaylistParser.parseM3U(content, playlistPath);
+  }
+
+  /**
+   * Parse an .m3u/.m3u8 playlist
+   * Reads #EXTINF (duration and title) and #PLAYLIST (playlist title); other # lines are skipped
+   * @param {string} content - Playlist text
+   * @param {string} playlistPath - Path to the playlist
+   * @returns {Object} { title, tracks }
+   */
+  static parseM3U(content, playlistPath) {
+    const tracks = [];
+    let title = null;
+    let pending = null;
+
+    for (let line of content.split(/\r?\n/)) {
+      line = line.trim();
+      if (!line) continue;
+
+      if (line.startsWith('#EXTINF:')) {
+        // #EXTINF:<seconds> [attributes],<title>
+        const match = line.match(/^#EXTINF:\s*(-?\d+(?:\.\d+)?)[^,]*,(.*)$/);
+        if (match) {
+          const duration = parseFloat(match[1]);
+          pending = {
+            duration: duration > 0 ? duration : null,
+            title: match[2].trim() || null
+          };
+        }
+        continue;
+      }
+
+      if (line.startsWith('#PLAYLIST:')) {
+        title = line.substring('#PLAYLIST:'.length).trim() || null;
+        continue;
+      }
+
+      // Skip other comments and directives (including the #EXTM3U header)
+      if (line.startsWith('#')) continue;
+
+      tracks.push({
+        path: PlaylistParser.resolvePath(line, playlistPath),
+        title: pending?.title || null,
+        duration: pending?.duration || null
+      });
+      pending = null;
+    }
+
+    return { title, tracks };
+  }
+
+  /**
+   * Parse a .pls playlist (FileN, TitleN and LengthN entries)
+   * @param {string} content - Playlist text
+   * @param {string} playlistPath - Path to the playlist
+   * @returns {Object} { title, tracks }
+   */
+  static parsePLS(content, playlistPath) {
+    const entries = {};
+
+    content.split(/\r?\n/).forEach(line => {
+      const match = line.trim().match(/^(File|Title|Length)(\d+)\s*=\s*(.*)$/i);
+      if (!match) return;
+
+      const number = parseInt(match[2], 10);
+      entries[number] = entries[number] || {};
+      entries[number][match[1].toLowerCase()] = match[3].trim();
+    });
+
+    const tracks = Object.keys(entries)
+      .map(Number)
+      .sort((a, b) => a - b)
+      .filter(number => entries[number].file)
+      .map(number => {
+        const entry = entries[number];
+        const duration = parseFloat(entry.length);
+
+        return {
+          path: PlaylistParser.resolvePath(entry.file, playlistPath),
+          title: entry.title || null,
+          duration: duration > 0 ? duration : null
+        };
+      });
+
+    return { title: null, tracks };
+  }
+
+  /**
+   * Parse an .xspf (XML Shareable Playlist Format) playlist
+   * @param {string} content - Playlist XML
+   * @param {string} playlistPath - Path to the playlist
+   * @returns {Object} { title, tracks }
+   */
+  static parseXSPF(content, playlistPath) {
+    const doc = new DOMParser().parseFromString(content, 'application/xml');
+
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+      throw new Error('Invalid XSPF playlist');
+    }
+
+    // Direct children only, so track titles aren't mistaken for the playlist title
+    const childText = (parent, name) => {
+      const child = Array.from(parent.children).find(el => el.localName === name);
+      return child ? child.textContent.trim() : null;
+    };
+
+    const playlist = doc.documentElement;
+    const trackList = Array.from(playlist.children).find(el => el.localName === 'trackList');
+
+    const tracks = Array.from(trackList ? trackList.children : [])
+      .filter(el => el.localName === 'track')
+      .map(track => {
+        const location = PlaylistParser.decodeLocation(childText(track, 'location'));
+        if (!location) return null;
+
+        const title = childText(track, 'title');
+        const creator = childText(track, 'creator');
+        const duration = parseInt(childText(track, 'duration'), 10);  // milliseconds
+
+        return {
+          path: PlaylistParser.resolvePath(location, playlistPath),
+          title: title ? (creator ? `${creator} - ${title}` : title) : null,
+          duration: duration > 0 ? duration / 1000 : null
+        };
+      })
+      .filter(Boolean);
+
+    return { title: childText(playlist, 'title'), tracks };
+  }
+
+  /**
+   * Turn an XSPF location URI into a path
+   * file:// locations (as exported by VLC) point into the local file system, which
+   * the browser can't load from, so they are skipped with a warning
+   * @param {string} location - URI (may be percent-encoded)
+   * @returns {string|null} The path, or null if it can't be played
+   */
+  static decodeLocation(location) {
+    if (!location) return null;
+
+    if (location.startsWith('http://') || location.startsWith('https://')) {
+      return location;
+    }
+
+    if (location.toLowerCase().startsWith('file:')) {
+      console.warn(`Skipping playlist track with a file:// location (use a path relative to the playlist): ${location}`);
+      return null;
+    }
+
+    try {
+      return decodeURI(location);
+    } catch (error) {
+      return location;
+    }
+  }
+
+  /**
+   * Resolve a track path relative to the playlist location
+   * @param {string} track - Track path from the playlist
+   * @param {string} playlistPath - Path to the playlist
+   * @returns {string}
+   */
+  static resolvePath(track, playlistPath) {
+    if (track.startsWith('http://') || track.startsWith('https://') || track.startsWith('/')) {
+      return track;
+    }
+
+    const playlistDir = playlistPath.substring(0, playlistPath.lastIndexOf('/'));
+    return playlistDir ? `${playlistDir}/${track}` : track;
+  }
+}
@@ -4,13 +4,27 @@
  */
 
 class SceneManager {
-  constructor(configManager, audioEngine, lightingController) {
+  constructor(configManager, audioEngine, lightingController, musicManager = null) {
     this.configManager = configManager;
     this.audioEngine = audioEngine;
     this.lightingController = lightingController;
+    this.musicManager = musicManager;
 
     this.activeEffects = [];
     this.activeScene = null;  // Track currently active ambient scene
+    this.activeOverlays = []; // Overlay scene IDs stacked on top, in the order they were started
+    this.activeTriggers = []; // Cancellable handles for running triggers
+    this.triggerQueue = [];   // Triggers waiting for the running ones to finish ({ triggerId, resolve })
+    this.triggerCooldowns = new Map(); // Trigger ID -> { until, timer }
+    this.triggerEffectBuses = new Set(); // Buses whose audio effects a trigger changed
+    this.sceneMusic = null;   // Music started by the active scene: { source, queueId, restore, snapshot }
+    this.randomTriggers = new Map(); // Scene ID -> running random trigger schedules ({ timer, stopped, count })
+
+    // Called with the trigger ID when a scene fires a random trigger
+    this.onRandomTrigger = null;
+
+    // Called when a trigger starts or stops running, is queued, or its cooldown ends
+    this.onTriggerStateChange = null;
   }
 
   /**
@@ -23,134 +37,626 @@ class SceneManager {
 
   /**
    * Execute a trigger effect
+   * While other triggers run, the trigger's concurrency policy decides:
+   *   interrupt - cancel them and run now
+   *   queue     - run once they have finished
+   *   ignore    - don't run
+   *   overlap   - run alongside them
+   * A trigger in its cooldown doesn't run at all
    * @param {string} triggerId - The trigger identifier
+   * @returns {Promise<boolean>} True if the trigger ran to completion, false if cancelled, ignored or cooling down
    */
   async executeTrigger(triggerId) {
     const trigger = this.configManager.getTrigger(triggerId);
 
     if (!trigger) {
       console.error(`Trigger not found: ${triggerId}`);
+      return false;
+    }
+
+    const blocked = this.getTriggerBlockReason(triggerId);
+    if (blocked) {
+      console.log(`Not executing ${trigger.name}: ${blocked}`);
+      return false;
+    }
+
+    const others = [...this.activeTriggers];
+    const { concurrency } = this.configManager.getTriggerPolicy(triggerId);
+
+    if (others.length > 0 && concurrency === 'queue') {
+      return this.queueTrigger(triggerId, trigger);
+    }
+
+    // Register the run before anything is awaited, so a second click
+    // while this one cancels or captures already sees it running
+    const run = this.startTriggerRun(triggerId, trigger);
+
+    if (others.length > 0 && concurrency !== 'overlap') {
+      // Cancel running triggers (with cleanup)
+      await this.cancelRunningTriggers(others);
+    }
+
+    return this.runTrigger(run, trigger);
+  }
+
+  /**
+   * Check whether a trigger would be turned away right now
+   * @param {string} triggerId - The trigger identifier
+   * @returns {string|null} "cooldown", "running" (concurrency "ignore"), "queued" (already waiting), or null if it can run
+   */
+  getTriggerBlockReason(triggerId) {
+    if (this.triggerCooldowns.has(triggerId)) {
+      return 'cooldown';
+    }
+
+    const { concurrency } = this.configManager.getTriggerPolicy(triggerId);
+
+    if (concurrency === 'ignore' && this.activeTriggers.length > 0) {
+      return 'running';
+    }
+
+    if (concurrency === 'queue' && this.triggerQueue.some(entry => entry.triggerId === triggerId)) {
+      return 'queued';
+    }
+
+    return null;
+  }
+
+  /**
+   * Wait for the running triggers to finish, then run a trigger
+   * @param {string} triggerId - The trigger identifier
+   * @param {Object} trigger - Trigger configuration
+   * @returns {Promise<boolean>} Resolves like executeTrigger once the trigger has run (false if the queue is cleared)
+   */
+  queueTrigger(triggerId, trigger) {
+    console.log(`Queueing trigger: ${trigger.name}`);
+
+    return new Promise(resolve => {
+      this.triggerQueue.push({ triggerId, resolve });
+      this.notifyTriggerState();
+    });
+  }
+
+  /**
+   * Start the next queued trigger that isn't cooling down
+   */
+  runNextQueuedTrigger() {
+    while (this.triggerQueue.length > 0) {
+      const { triggerId, resolve } = this.triggerQueue.shift();
+
+      if (this.triggerCooldowns.has(triggerId)) {
+        resolve(false);
+        continue;
+      }
+
+      const trigger = this.configManager.getTrigger(triggerId);
+      resolve(this.runTrigger(this.startTriggerRun(triggerId, trigger), trigger));
       return;
     }
 
+    this.notifyTriggerState();
+  }
+
+  /**
+   * Create a run for a trigger and add it to the active triggers
+   * @param {string} triggerId - The trigger identifier
+   * @param {Object} trigger - Trigger configuration
+   * @returns {Object} Run handle
+   */
+  startTriggerRun(triggerId, trigger) {
+    const run = this.createTriggerRun(triggerId, trigger);
+    this.activeTriggers.push(run);
+    this.notifyTriggerState();
+    return run;
+  }
+
+  /**
+   * Run a trigger's sequence, then restore the lights
+   * @param {Object} run - Run handle from startTriggerRun()
+   * @param {Object} trigger - Trigger configuration
+   * @returns {Promise<boolean>} True if the trigger ran to completion, false if cancelled
+   */
+  async runTrigger(run, trigger) {
+    // Cancelled while the triggers it interrupts were being cancelled
+    if (run.controller.signal.aborted) {
+      return false;
+    }
+
     console.log(`Executing trigger: ${trigger.name}`);
 
-    // Stop any currently playing triggers with fade-out
+    // Snapshot the lights so the room can return to how it looked before.
+    // Overlapping triggers share the snapshot taken by the first one.
+    const first = this.activeTriggers.find(other => other !== run && other.capture);
+    run.fadeEndsAt = first ? first.fadeEndsAt : this.lightingController.getSoftwareFadeEnd();
+    run.capture = first ? first.capture : this.lightingController.captureWLEDState();
+    run.finished = run.capture;
+    await run.capture;
+
+    if (run.controller.signal.aborted) {
+      return false;
+    }
+
+    // Pick this run's variant and random values, then adapt it to the ambient lighting if active
+    const resolved = this.resolveTriggerSequence(trigger);
+    if (resolved) {
+      const sequence = this.adaptTriggerToAmbient(resolved);
+      run.finished = this.executeSequence(sequence, run.controller.signal, trigger.ducking ?? null);
+    }
+
+    await run.finished;
+
+    // A cancelled run has already been cleaned up by cancelTrigger()
+    if (run.controller.signal.aborted) {
+      return false;
+    }
+
+    this.removeTriggerRun(run);
+
+    // Leave the lights to any trigger that is still running
+    if (!this.activeTriggers.some(other => other.capture)) {
+      console.log(`Trigger completed: ${trigger.name}`);
+      this.restoreSceneEffects();
+      await this.restoreAfterTrigger(run);
+
+      // Queued triggers start once the room is back to normal
+      if (this.activeTriggers.length === 0) {
+        this.runNextQueuedTrigger();
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Create a cancellable handle for a trigger run
+   * @param {string} triggerId - The trigger identifier
+   * @param {Object} trigger - Trigger configuration
+   * @returns {Object} Run handle
+   */
+  createTriggerRun(triggerId, trigger) {
+    return {
+      triggerId,
+      name: trigger.name,
+      sceneAtStart: this.getSceneStateKey(),
+      controller: new AbortController(),
+      capture: null,            // Snapshot of the lights, once the run has started
+      fadeEndsAt: null,         // End of the software fade running when it started, if any
+      finished: Promise.resolve()
+    };
+  }
+
+  /**
+   * Remove a run from the active trigger list and start the trigger's cooldown
+   * @param {Object} run - Run handle
+   */
+  removeTriggerRun(run) {
+    const index = this.activeTriggers.indexOf(run);
+    if (index > -1) {
+      this.activeTriggers.splice(index, 1);
+      this.startTriggerCooldown(run.triggerId);
+    }
+
+    this.notifyTriggerState();
+  }
+
+  /**
+   * Block a trigger for its cooldown (`cooldown`, counted from when the run ended)
+   * @param {string} triggerId - The trigger identifier
+   */
+  startTriggerCooldown(triggerId) {
+    const { cooldown } = this.configManager.getTriggerPolicy(triggerId);
+    if (!(cooldown > 0)) return;
+
+    clearTimeout(this.triggerCooldowns.get(triggerId)?.timer);
+
+    const timer = setTimeout(() => {
+      this.triggerCooldowns.delete(triggerId);
+      this.notifyTriggerState();
+    }, cooldown);
+
+    this.triggerCooldowns.set(triggerId, { until: Date.now() + cooldown, timer });
+  }
+
+  /**
+   * Get what a trigger is doing, for its button
+   * @param {string} triggerId - The trigger identifier
+   * @returns {Object} { running, queued, cooldown } (cooldown: milliseconds left, 0 if none)
+   */
+  getTriggerState(triggerId) {
+    const cooldown = this.triggerCooldowns.get(triggerId);
+
+    return {
+      running: this.activeTriggers.some(run => run.triggerId === triggerId),
+      queued: this.triggerQueue.some(entry => entry.triggerId === triggerId),
+      cooldown: cooldown ? Math.max(0, cooldown.until - Date.now()) : 0
+    };
+  }
+
+  /**
+   * Tell the UI that trigger states changed
+   */
+  notifyTriggerState() {
+    if (this.onTriggerStateChange) {
+      this.onTriggerStateChange();
+    }
+  }
+
+  /**
+   * Cancel a running trigger
+   * Pending events are dropped immediately, then the cleanup runs
+   * @param {Object} run - Run handle from createTriggerRun()
+   */
+  async cancelTrigger(run) {
+    if (run.controller.signal.aborted) return;
+
+    console.log(`Cancelling trigger: ${run.name}`);
+    run.controller.abort();
+    this.removeTriggerRun(run);
+
+    // Let an in-flight lighting/audio call settle so it can't land after cleanup
+    await run.finished;
     await this.audioEngine.stopTriggers();
 
-    // Clone and adapt the trigger sequence to match ambient lighting if active
-    let sequence = trigger.sequence;
-    if (trigger.sequence && Array.isArray(trigger.sequence)) {
-      sequence = this.adaptTriggerToAmbient(trigger.sequence);
-      await this.executeSequence(sequence);
-    }
-
-    // After trigger completes, restore ambient scene lighting if one is active
-    if (this.activeScene) {
-      console.log(`Trigger completed: ${trigger.name} - restoring ambient scene lighting`);
-      const scene = this.configManager.getScene(this.activeScene);
-      if (scene && scene.lighting) {
-        // Get fade duration from config
-        const lightingFadeDuration = this.configManager.getConfig()?.audio?.lightingFadeDuration || 0;
+    // Clean up once no started run shares the snapshot; runs still waiting
+    // to start take a new one, and a run that never started changed nothing
+    if (run.capture && !this.activeTriggers.some(other => other.capture)) {
+      await this.cleanupCancelledTrigger(run);
+    }
+  }
+
+  /**
+   * Cancel every running and queued trigger and stop trigger audio
+   */
+  async cancelAllTriggers() {
+    // Queued triggers never start
+    const queued = this.triggerQueue;
+    this.triggerQueue = [];
+    queued.forEach(entry => entry.resolve(false));
+
+    await this.cancelRunningTriggers();
+  }
+
+  /**
+   * Cancel every running trigger and stop trigger audio (queued triggers keep waiting)
+   * @param {Array<Object>} runs - Only these runs (default: all running triggers)
+   */
+  async cancelRunningTriggers(runs = [...this.activeTriggers]) {
+    for (const run of runs) {
+      await this.cancelTrigger(run);
+    }
+
+    // Trigger sounds can outlive their sequence
+    await this.audioEngine.stopTriggers();
+  }
+
+  /**
+   * Get the triggers that are currently running
+   * @returns {Array<string>} Trigger IDs
+   */
+  getActiveTriggers() {
+    return this.activeTriggers.map(run => run.triggerId);
+  }
+
+  /**
+   * Run the configured cleanup after a trigger was cancelled
+   * "restore" (default) returns the lights to their pre-trigger state,
+   * "off" turns them off
+   * @param {Object} run - The cancelled run
+   */
+  async cleanupCancelledTrigger(run) {
+    const settings = this.configManager.getTriggerSettings();
+
+    this.restoreSceneEffects();
+
+    if (settings.cancelCleanup === 'off') {
+      console.log(`Trigger cancelled: ${run.name} - turning off lights`);
+      await this.lightingController.turnOffAll();
+      return;
+    }
+
+    await this.restoreAfterTrigger(run);
+  }
+
+  /**
+   * Return the lights to how they were before a trigger
+   * Restores the WLED snapshot unless the scene changed meanwhile, otherwise
+   * re-applies the ambient scene lighting, or turns the lights off.
+   * If the trigger started during a software fade, the snapshot is half-faded, so the
+   * fade's target (scene lighting or off) is faded to in the time the fade had left
+   * @param {Object} run - The finished or cancelled run
+   */
+  async restoreAfterTrigger(run) {
+    let lightingFadeDuration = this.configManager.getConfig()?.audio?.lightingFadeDuration || 0;
+    if (run.fadeEndsAt) {
+      lightingFadeDuration = Math.max(lightingFadeDuration, run.fadeEndsAt - Date.now());
+    }
+
+    const scene = this.getCombinedScene();
+
+    if (this.lightingController.hasSavedWLEDState() && this.getSceneStateKey() === run.sceneAtStart && !run.fadeEndsAt) {
+      console.log(`${run.name} - restoring previous lighting`);
+      await this.lightingController.restoreWLEDState(lightingFadeDuration);
+    } else if (scene) {
+      console.log(`${run.name} - restoring ambient scene lighting`);
+      if (scene.lighting) {
         await this.lightingController.applySceneLighting(scene.lighting, lightingFadeDuration);
       }
     } else {
-      // No active scene, just turn off lights
-      console.log(`Trigger completed: ${trigger.name} - turning off lights`);
-      await this.lightingController.turnOffAll();
+      // No active scene, just turn off lights (finishing a fade-out)
+      console.log(`${run.name} - turning off lights`);
+      await this.lightingController.turnOffAll(null, run.fadeEndsAt ? lightingFadeDuration : null);
     }
   }
 
+  /**
+   * Build the sequence for one run of a trigger
+   * Picks one of the trigger's weighted `variants` (or uses its `sequence`), then
+   * resolves sound pools and random ranges, so every run can differ
+   * @param {Object} trigger - Trigger configuration
+   * @returns {Array|null} Resolved copy of the sequence, or null if the trigger has none
+   */
+  resolveTriggerSequence(trigger) {
+    let sequence = trigger.sequence;
+
+    if (Array.isArray(trigger.variants) && trigger.variants.length > 0) {
+      const weights = trigger.variants
+        .map((variant, index) => ({ id: index, weight: Number(variant.weight ?? 1) }))
+        .filter(entry => entry.weight > 0);
+
+      if (weights.length > 0) {
+        const index = this.pickWeighted(weights);
+        const variant = trigger.variants[index];
+        console.log(`  Variant: ${variant.name || index + 1}`);
+        sequence = variant.sequence;
+      }
+    }
+
+    if (!Array.isArray(sequence)) {
+      return null;
+    }
+
+    return JSON.parse(JSON.stringify(sequence)).map(event => this.resolveRandomEvent(event));
+  }
+
+  /**
+   * Resolve the random values of a (cloned) sequence event in place
+   * `at`, `delay` and WLED `brightness`/`duration` accept { min, max }; WLED `color`/`colors`
+   * accept { min: [r, g, b], max: [r, g, b] }; `audio.trigger` accepts a sound pool
+   * @param {Object} event - Sequence event
+   * @returns {Object} The event
+   */
+  resolveRandomEvent(event) {
+    if (event.at !== undefined) {
+      event.at = this.randomInRange(event.at);
+    }
+
+    if (event.delay !== undefined) {
+      event.delay = this.randomInRange(event.delay);
+    }
+
+    if (event.audio && event.audio.trigger) {
+      event.audio.trigger = this.pickSound(event.audio.trigger);
+    }
+
+    this.lightingController.getWLEDConfigList(event.lighting?.wled).forEach(config => {
+      ['brightness', 'duration'].forEach(key => {
+        if (config[key] !== undefined) {
+          config[key] = this.randomInRange(config[key]);
+        }
+      });
+
+      [config, ...(config.segments || [])].forEach(entry => {
+        if (entry.color !== undefined) {
+          entry.color = this.randomColor(entry.color);
+        }
+        if (Array.isArray(entry.colors)) {
+          entry.colors = entry.colors.map(color => this.randomColor(color));
+        }
+      });
+    });
+
+    return event;
+  }
+
+  /**
+   * Resolve a number that may be a random range
+   * @param {number|Object} value - A number, or { min, max }
+   * @returns {number} The number, or a whole number between min and max
+   */
+  randomInRange(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return value;
+    }
+
+    const min = Number(value.min ?? 0);
+    const max = Number(value.max ?? min);
+    return Math.round(min + Math.random() * (max - min));
+  }
+
+  /**
+   * Resolve a color that may be a random range
+   * The result lies on the blend from `min` to `max`, so channels stay in proportion
+   * @param {Array|Object} color - [r, g, b], or { min: [r, g, b], max: [r, g, b] }
+   * @returns {Array} [r, g, b]
+   */
+  randomColor(color) {
+    if (!color || Array.isArray(color) || !Array.isArray(color.min)) {
+      return color;
+    }
+
+    const max = Array.isArray(color.max) ? color.max : color.min;
+    const amount = Math.random();
+
+    return color.min.map((channel, index) =>
+      Math.round(channel + amount * ((max[index] ?? channel) - channel)));
+  }
+
+  /**
+   * Pick one file from a trigger sound pool
+   * @param {string|Array|Object} sounds - A file, an array of files (equal weights) or an object of file -> weight
+   * @returns {string|null} The picked file
+   */
+  pickSound(sounds) {
+    if (typeof sounds === 'string') {
+      return sounds;
+    }
+
+    const weights = (Array.isArray(sounds)
+      ? sounds.map(file => ({ id: file, weight: 1 }))
+      : Object.entries(sounds).map(([file, weight]) => ({ id: file, weight: Number(weight) })))
+      .filter(entry => entry.weight > 0);
+
+    return weights.length > 0 ? this.pickWeighted(weights) : null;
+  }
+
   /**
    * Adapt trigger sequence to use ambient scene lighting for fade targets
    * @param {Array} sequence - Original trigger sequence
    * @returns {Array} Adapted sequence
    */
   adaptTriggerToAmbient(sequence) {
-    // Clone the sequence first
-    const clonedSequence = JSON.parse(JSON.stringify(sequence));
+    // Clone the sequence first, with relative delays translated to offsets
+    const clonedSequence = TimelineEngine.normalize(JSON.parse(JSON.stringify(sequence)));
 
     // Add effect: "Solid" to all lighting events to override any ongoing effects
     clonedSequence.forEach(event => {
       if (event.lighting && event.lighting.wled) {
-        event.lighting.wled.effect = "Solid";
+        this.lightingController.getWLEDConfigList(event.lighting.wled).forEach(config => {
+          config.effect = "Solid";
+        });
       }
     });
 
-    // If no ambient scene is active, return sequence with Solid effect added
-    if (!this.activeScene) {
-      return clonedSequence;
-    }
-
-    const scene = this.configManager.getScene(this.activeScene);
+    // Fade targets come from the base scene plus its overlays
+    const scene = this.getCombinedScene();
     if (!scene || !scene.lighting || !scene.lighting.wled) {
       return clonedSequence;
     }
 
-    // Get ambient lighting values
-    const ambientBrightness = scene.lighting.wled.brightness || 128;
-    const ambientColor = scene.lighting.wled.color || [128, 128, 128];
-
-    console.log(`Adapting trigger to ambient: brightness=${ambientBrightness}, color=[${ambientColor}]`);
+    const ambientByDevice = this.getAmbientWLEDByDevice(scene.lighting.wled);
 
     // Replace "fade to ambient" targets
     // We identify these by looking for events with:
     // - Non-zero duration (indicates a fade)
-    // - Not at the very start (delay 0)
+    // - Not at the very start (offset 0)
     return clonedSequence.map(event => {
-      // Check if this is a fade-to event (has duration and lighting)
-      if (event.lighting &&
-          event.lighting.wled &&
-          event.lighting.wled.duration > 0 &&
-          event.delay > 0) {
+      if (!event.lighting || !event.lighting.wled || !(event.at > 0)) {
+        return event;
+      }
 
-        // Replace with ambient lighting values
-        event.lighting.wled.brightness = ambientBrightness;
-        event.lighting.wled.color = [...ambientColor];
+      event.lighting.wled = this.lightingController.getWLEDConfigList(event.lighting.wled).flatMap(config => {
+        // Check if this is a fade-to event (has duration)
+        if (!(config.duration > 0)) return [config];
 
-        console.log(`  Replaced fade target at delay ${event.delay}ms`);
-      }
+        // Every device fades to its own ambient lighting, so a zone (or no zone) covering
+        // several devices becomes one config per device
+        return this.configManager.getWLEDZoneDevices(config.zone || null).map(device => {
+          const ambient = ambientByDevice.get(device.name) || {};
+          const target = { ...config, zone: device.name };
+
+          // Replace with ambient lighting values
+          target.brightness = ambient.brightness || 128;
+          if (ambient.segments) {
+            target.segments = JSON.parse(JSON.stringify(ambient.segments));
+            delete target.color;
+          } else {
+            target.color = [...(ambient.color || [128, 128, 128])];
+          }
+
+          console.log(`  Replaced fade target at ${event.at}ms (${device.name}): brightness=${target.brightness}`);
+          return target;
+        });
+      });
 
       return event;
     });
   }
 
+  /**
+   * Get the ambient WLED config of each device
+   * Configs whose zones share a device are merged the same way overlays are
+   * (see mergeWLEDConfig), so a combined scene gives each device its own entry
+   * @param {Object|Array} wled - Scene (or combined scene) `lighting.wled`
+   * @returns {Map<string, Object>} Device name -> WLED config
+   */
+  getAmbientWLEDByDevice(wled) {
+    const devices = new Map();
+
+    this.lightingController.getWLEDConfigList(wled).forEach(config => {
+      this.configManager.getWLEDZoneDevices(config.zone || null).forEach(device => {
+        devices.set(device.name, this.mergeWLEDConfig(devices.get(device.name), config, device.name));
+      });
+    });
+
+    return devices;
+  }
+
   /**
    * Execute a sequence of timed events
-   * @param {Array} sequence - Array of timed events
+   * Events run on a timeline at their offsets from the start (see TimelineEngine),
+   * with audio and lighting on separate tracks
+   * @param {Array} sequence - Array of timed events (`at` offsets or relative `delay`s)
+   * @param {AbortSignal} signal - Optional signal; remaining events are skipped once aborted
+   * @param {boolean|Object} ducking - Trigger-level ducking for its sounds (events can override)
    */
-  async executeSequence(sequence) {
-    for (const event of sequence) {
-      // Wait for the specified delay
-      if (event.delay > 0) {
-        await this.delay(event.delay);
-      }
+  async executeSequence(sequence, signal = null, ducking = null) {
+    const timeline = new TimelineEngine({
+      audio: (audio) => this.executeAudioEvent(audio, ducking),
+      lighting: (lighting) => this.executeLightingEvent(lighting)
+    });
 
-      // Execute audio events
-      // Note: Music is managed independently and not affected by scenes or triggers
-      if (event.audio) {
-        if (event.audio.trigger) {
-          await this.audioEngine.playTrigger(event.audio.trigger);
-        }
+    await timeline.run(sequence, signal);
+  }
 
-        if (event.audio.ambient) {
-          await this.audioEngine.playAmbient(event.audio.ambient);
-        }
-      }
+  /**
+   * Run the audio part of a sequence event
+   * Note: Music is managed independently and not affected by triggers
+   * @param {Object} audio - Event `audio`
+   * @param {boolean|Object} ducking - Trigger-level ducking (the event's own `ducking` wins)
+   */
+  async executeAudioEvent(audio, ducking = null) {
+    if (audio.trigger) {
+      await this.audioEngine.playTrigger(audio.trigger, audio.fadeIn ?? null, audio.ducking ?? ducking);
+    }
 
-      // Execute lighting events
-      if (event.lighting) {
-        if (event.lighting.wled) {
-          await this.lightingController.applyWLEDConfig(event.lighting.wled);
-        }
+    if (audio.ambient) {
+      await this.audioEngine.playAmbient(audio.ambient, audio.fadeIn ?? null);
+    }
 
-        if (event.lighting.homeAssistant) {
-          await this.lightingController.sendHomeAssistantCommand(event.lighting.homeAssistant);
-        }
-      }
+    // Swap effects chains, then animate their parameters
+    if (audio.effects) {
+      Object.entries(audio.effects).forEach(([bus, effects]) => {
+        this.audioEngine.setBusEffects(bus, effects);
+        this.triggerEffectBuses.add(bus);
+      });
+    }
+
+    if (audio.automate) {
+      const automations = Array.isArray(audio.automate) ? audio.automate : [audio.automate];
+      automations.forEach(automation => {
+        this.audioEngine.automateEffect(automation);
+        this.triggerEffectBuses.add(automation.bus);
+      });
     }
   }
 
+  /**
+   * Run the lighting part of a sequence event
+   * @param {Object} lighting - Event `lighting`
+   */
+  async executeLightingEvent(lighting) {
+    await Promise.all([
+      // Zones are addressed in parallel
+      ...this.lightingController.getWLEDConfigList(lighting.wled).map(config =>
+        // Check for restore command
+        config.restore
+          ? this.lightingController.restoreWLEDState(config.duration ?? null, config.zone || null)
+          : this.lightingController.applyWLEDConfig(config)
+      ),
+      lighting.homeAssistant ? this.lightingController.applyHomeAssistantLighting(lighting.homeAssistant) : null
+    ]);
+  }
+
   /**
    * Turn off all lights
    */
@@ -179,12 +685,14 @@ class SceneManager {
     const scenes = this.configManager.getScenes();
     return Object.keys(scenes).map(id => ({
       id,
-      name: scenes[id].name
+      name: scenes[id].name,
+      overlay: scenes[id].overlay === true
     }));
   }
 
   /**
    * Start or toggle an ambient scene
+   * Overlay scenes (`overlay: true`) toggle on top of the base scene instead of replacing it
    * @param {string} sceneId - The scene identifier
    */
   async startScene(sceneId) {
@@ -195,55 +703,540 @@ class SceneManager {
       return;
     }
 
+    if (scene.overlay) {
+      await this.toggleOverlay(sceneId);
+      return;
+    }
+
     // If this scene is already active, stop it
     if (this.activeScene === sceneId) {
       await this.stopScene();
       return;
     }
 
-    // Stop any currently active scene
-    if (this.activeScene) {
-      await this.stopScene();
+    // Switching from another scene (or from overlays alone) crossfades instead of going through darkness
+    if (this.activeScene || this.activeOverlays.length > 0) {
+      await this.transitionToScene(sceneId);
+      return;
     }
 
     console.log(`Starting scene: ${scene.name}`);
     this.activeScene = sceneId;
+    this.startRandomTriggers(sceneId);
 
     // Get lighting fade duration from config
     const lightingFadeDuration = this.configManager.getConfig()?.audio?.lightingFadeDuration || 0;
 
-    // Play ambient audio only (will fade out old ambient automatically)
-    // Music is managed independently and not affected by scenes
+    // Music follows the scene's music policy; it fades over on its own while the rest starts
+    const music = this.applySceneMusic(scene);
+
+    // Play ambient audio (will fade out old ambient automatically)
     if (scene.audio) {
       if (scene.audio.ambient) {
-        await this.audioEngine.playAmbient(scene.audio.ambient);
+        await this.audioEngine.playAmbient(scene.audio.ambient, scene.audio.fadeIn ?? null);
       }
     }
 
+    this.applySceneEffects(scene);
+
     // Apply lighting with fade
     if (scene.lighting) {
       await this.lightingController.applySceneLighting(scene.lighting, lightingFadeDuration);
     }
+
+    await music;
+  }
+
+  /**
+   * Crossfade from the active scene into another one
+   * Active overlays stay on top of the new base scene
+   * @param {string} sceneId - The scene to switch to
+   */
+  async transitionToScene(sceneId) {
+    const from = this.getCombinedScene();
+    const scene = this.configManager.getScene(sceneId);
+    const { duration, curve } = this.configManager.getSceneTransition(sceneId);
+
+    this.stopRandomTriggers(this.activeScene);
+    this.activeScene = sceneId;
+    this.startRandomTriggers(sceneId);
+    const to = this.getCombinedScene();
+
+    console.log(`Crossfading scene: ${from.name} -> ${to.name} (${duration}ms, ${curve})`);
+
+    await Promise.all([
+      this.applySceneMusic(scene, duration),
+      this.crossfadeScenes(from, to, duration, curve)
+    ]);
+  }
+
+  /**
+   * Turn an overlay scene on or off, crossfading the combined scene
+   * Removing the last overlay with no base scene stops everything
+   * @param {string} overlayId - The overlay scene identifier
+   */
+  async toggleOverlay(overlayId) {
+    const overlay = this.configManager.getScene(overlayId);
+    const active = this.activeOverlays.includes(overlayId);
+
+    if (active && !this.activeScene && this.activeOverlays.length === 1) {
+      await this.stopScene();
+      return;
+    }
+
+    const { duration, curve } = this.configManager.getSceneTransition(overlayId);
+    const from = this.getCombinedScene();
+
+    if (active) {
+      console.log(`Removing overlay: ${overlay.name} (${duration}ms, ${curve})`);
+      this.activeOverlays = this.activeOverlays.filter(id => id !== overlayId);
+      this.stopRandomTriggers(overlayId);
+    } else {
+      console.log(`Adding overlay: ${overlay.name} (${duration}ms, ${curve})`);
+      this.activeOverlays.push(overlayId);
+      this.startRandomTriggers(overlayId);
+    }
+
+    await this.crossfadeScenes(from, this.getCombinedScene(), duration, curve);
+  }
+
+  /**
+   * Crossfade the audio and lighting from one (combined) scene to another
+   * Ambient layers crossfade and WLED blends straight from the old look to the new;
+   * only lights the new scene doesn't use are faded out
+   * @param {Object|null} from - Scene that was active (null if none)
+   * @param {Object} to - Scene to switch to
+   * @param {number} duration - Crossfade duration in milliseconds
+   * @param {string} curve - Easing curve
+   */
+  async crossfadeScenes(from, to, duration, curve) {
+    from = from || {};
+
+    await this.audioEngine.crossfadeAmbient(to.audio?.ambient, duration, curve);
+    this.applySceneEffects(to);
+
+    // Devices lit by the old scene only go dark; the rest blend into the new look
+    const newDevices = this.lightingController.getWLEDLightingDevices(to.lighting?.wled).map(device => device.name);
+    const leftover = from.lighting?.wled
+      ? this.lightingController.getWLEDLightingDevices(from.lighting.wled).filter(device => !newDevices.includes(device.name))
+      : [];
+
+    // Entities the old scene switches off on stop, unless the new scene handles them too
+    const newOffEntities = to.lighting?.homeAssistantOff || [];
+    const offEntities = (from.lighting?.homeAssistantOff || []).filter(entity => !newOffEntities.includes(entity));
+
+    await Promise.all([
+      this.lightingController.applySceneLighting(to.lighting, duration, curve),
+      this.configManager.isWLEDEnabled() && leftover.length > 0
+        ? this.lightingController.turnOffWLEDDevices(leftover, duration)
+        : null,
+      this.lightingController.turnOffHomeAssistantEntities(offEntities, duration)
+    ]);
+  }
+
+  /**
+   * Start a scene's random triggers (`randomTriggers`)
+   * @param {string} sceneId - The scene identifier
+   */
+  startRandomTriggers(sceneId) {
+    const scene = this.configManager.getScene(sceneId);
+    const configs = scene?.randomTriggers;
+    if (!configs) return;
+
+    this.stopRandomTriggers(sceneId);
+
+    const schedules = (Array.isArray(configs) ? configs : [configs])
+      .map(config => this.startRandomTrigger(scene, config))
+      .filter(Boolean);
+
+    this.randomTriggers.set(sceneId, schedules);
+  }
+
+  /**
+   * Fire random triggers from a weighted list, a random gap apart
+   * The gap runs from the end of one trigger to the start of the next. While another trigger
+   * is running, or the picked one is cooling down, the turn is skipped (not announced or
+   * counted), so button triggers are never cut short
+   * @param {Object} scene - Scene configuration (for logging)
+   * @param {Object} config - { triggers, minInterval, maxInterval, delay, maxCount }
+   * @returns {Object|null} Schedule ({ timer, stopped, count }), or null if no triggers are valid
+   */
+  startRandomTrigger(scene, config) {
+    const weights = this.getTriggerWeights(config.triggers);
+    if (weights.length === 0) {
+      console.error(`${scene.name}: random triggers need at least one known trigger`);
+      return null;
+    }
+
+    const minInterval = config.minInterval ?? 30000;
+    const maxInterval = Math.max(minInterval, config.maxInterval ?? 120000);
+    const schedule = { timer: null, stopped: false, count: 0 };
+
+    const scheduleNext = (delay) => {
+      schedule.timer = setTimeout(fire, delay ?? minInterval + Math.random() * (maxInterval - minInterval));
+    };
+
+    const fire = async () => {
+      if (schedule.stopped) return;
+
+      const triggerId = this.activeTriggers.length === 0 ? this.pickWeighted(weights) : null;
+      const blocked = triggerId ? this.getTriggerBlockReason(triggerId) : null;
+
+      if (blocked) {
+        console.log(`${scene.name}: random trigger ${triggerId} skipped (${blocked})`);
+      } else if (triggerId) {
+        schedule.count++;
+        console.log(`${scene.name}: random trigger ${triggerId} (${schedule.count}${config.maxCount ? `/${config.maxCount}` : ''})`);
+
+        if (this.onRandomTrigger) {
+          this.onRandomTrigger(triggerId);
+        }
+
+        try {
+          await this.executeTrigger(triggerId);
+        } catch (error) {
+          console.error(`Error executing random trigger ${triggerId}:`, error);
+        }
+      }
+
+      if (schedule.stopped) return;
+
+      if (config.maxCount && schedule.count >= config.maxCount) {
+        console.log(`${scene.name}: random triggers finished (${schedule.count} fired)`);
+        return;
+      }
+
+      scheduleNext();
+    };
+
+    scheduleNext(config.delay);
+    return schedule;
+  }
+
+  /**
+   * Stop random trigger schedules (a trigger that already fired keeps running)
+   * @param {string} sceneId - Only this scene's schedules (default: all)
+   */
+  stopRandomTriggers(sceneId = null) {
+    const sceneIds = sceneId ? [sceneId] : [...this.randomTriggers.keys()];
+
+    sceneIds.forEach(id => {
+      (this.randomTriggers.get(id) || []).forEach(schedule => {
+        schedule.stopped = true;
+        clearTimeout(schedule.timer);
+      });
+      this.randomTriggers.delete(id);
+    });
+  }
+
+  /**
+   * Normalize a trigger list to weights
+   * Accepts a trigger ID, an array of IDs (equal weights) or an object of ID -> weight;
+   * unknown triggers and non-positive weights are dropped
+   * @param {string|Array|Object} triggers - Trigger list
+   * @returns {Array<Object>} [{ id, weight }]
+   */
+  getTriggerWeights(triggers) {
+    let weights;
+
+    if (typeof triggers === 'string') {
+      weights = [{ id: triggers, weight: 1 }];
+    } else if (Array.isArray(triggers)) {
+      weights = triggers.map(id => ({ id, weight: 1 }));
+    } else {
+      weights = Object.entries(triggers || {}).map(([id, weight]) => ({ id, weight: Number(weight) }));
+    }
+
+    return weights.filter(({ id, weight }) => {
+      if (!this.configManager.getTrigger(id)) {
+        console.warn(`Unknown trigger in random triggers: ${id}`);
+        return false;
+      }
+      return weight > 0;
+    });
+  }
+
+  /**
+   * Pick an entry at random, in proportion to its weight
+   * @param {Array<Object>} weights - [{ id, weight }]
+   * @returns {string} The picked ID
+   */
+  pickWeighted(weights) {
+    const total = weights.reduce((sum, entry) => sum + entry.weight, 0);
+    let roll = Math.random() * total;
+
+    for (const entry of weights) {
+      roll -= entry.weight;
+      if (roll < 0) return entry.id;
+    }
+
+    return weights[weights.length - 1].id;
+  }
+
+  /**
+   * Get a key for the current base scene and overlays, to tell whether they changed
+   * @returns {string}
+   */
+  getSceneStateKey() {
+    return JSON.stringify([this.activeScene, ...this.activeOverlays]);
+  }
+
+  /**
+   * Get the base scene combined with its active overlays
+   * @returns {Object|null} Scene configuration (the base scene itself when there are no overlays), or null if nothing is active
+   */
+  getCombinedScene() {
+    const base = this.activeScene ? this.configManager.getScene(this.activeScene) : null;
+    const overlays = this.activeOverlays.map(id => this.configManager.getScene(id)).filter(Boolean);
+
+    if (overlays.length === 0) {
+      return base || null;
+    }
+
+    return this.combineScenes(base, overlays);
+  }
+
+  /**
+   * Stack overlay scenes on a base scene
+   * Ambient layers, Home Assistant actions and effects chains add up; WLED settings
+   * merge per device, with later overlays winning (see mergeWLEDConfig). Music comes from the base scene
+   * @param {Object|null} base - Base scene configuration
+   * @param {Array<Object>} overlays - Overlay scene configurations
+   * @returns {Object} Combined scene configuration
+   */
+  combineScenes(base, overlays) {
+    const scenes = [base, ...overlays].filter(Boolean);
+    const toList = value => (value ? (Array.isArray(value) ? value : [value]) : []);
+
+    const ambient = scenes.flatMap(scene => toList(scene.audio?.ambient));
+    const homeAssistant = scenes.flatMap(scene => toList(scene.lighting?.homeAssistant));
+    const homeAssistantOff = [...new Set(scenes.flatMap(scene => scene.lighting?.homeAssistantOff || []))];
+    const wled = this.combineWLEDLighting(scenes.map(scene => scene.lighting?.wled).filter(Boolean));
+
+    const effects = {};
+    scenes.forEach(scene => {
+      Object.entries(scene.audio?.effects || {}).forEach(([bus, chain]) => {
+        effects[bus] = [...(effects[bus] || []), ...chain];
+      });
+    });
+
+    return {
+      name: scenes.map(scene => scene.name).join(' + '),
+      audio: {
+        ...base?.audio,
+        ambient: ambient.length > 0 ? ambient : undefined,
+        effects
+      },
+      lighting: {
+        wled: wled.length > 0 ? wled : undefined,
+        homeAssistant: homeAssistant.length > 0 ? homeAssistant : undefined,
+        homeAssistantOff
+      }
+    };
+  }
+
+  /**
+   * Merge several scenes' WLED lighting into one config per device
+   * Per-device configs can be applied in parallel without two of them landing on the same strip
+   * @param {Array<Object|Array>} wledList - `lighting.wled` entries, base scene first
+   * @returns {Array<Object>} WLED configs (each `zone` is a device name)
+   */
+  combineWLEDLighting(wledList) {
+    if (wledList.length <= 1) {
+      return this.lightingController.getWLEDConfigList(wledList[0]);
+    }
+
+    const devices = new Map();
+
+    wledList.forEach(wled => {
+      this.lightingController.getWLEDConfigList(wled).forEach(config => {
+        this.configManager.getWLEDZoneDevices(config.zone || null).forEach(device => {
+          devices.set(device.name, this.mergeWLEDConfig(devices.get(device.name), config, device.name));
+        });
+      });
+    });
+
+    return [...devices.values()];
   }
 
   /**
-   * Stop the currently active ambient scene
+   * Lay an overlay's WLED settings over the settings below it
+   * A color replaces the segment colors below it (and the other way round);
+   * `brightnessScale` scales the brightness instead of setting it
+   * @param {Object|undefined} below - Merged settings so far for this device
+   * @param {Object} overlay - Overlay WLED config
+   * @param {string} deviceName - Device the result is for
+   * @returns {Object} WLED config
+   */
+  mergeWLEDConfig(below, overlay, deviceName) {
+    const { brightnessScale, ...changes } = overlay;
+    const merged = { ...below, ...changes, zone: deviceName };
+
+    if (below && changes.color && !changes.segments) {
+      delete merged.segments;
+    }
+    if (below && changes.segments && !changes.color) {
+      delete merged.color;
+    }
+
+    if (brightnessScale !== undefined) {
+      const brightness = changes.brightness ?? below?.brightness ?? 128;
+      merged.brightness = Math.max(0, Math.min(255, Math.round(brightness * brightnessScale)));
+    }
+
+    return merged;
+  }
+
+  /**
+   * Get a scene's music policy (`audio.musicPolicy`)
+   * @param {Object} scene - Scene configuration
+   * @returns {string} "replace", "restore" or "leave" (default, and for scenes without music)
+   */
+  getSceneMusicPolicy(scene) {
+    if (!scene?.audio?.music) return 'leave';
+
+    const policy = scene.audio.musicPolicy || 'leave';
+    if (!['replace', 'restore', 'leave'].includes(policy)) {
+      console.warn(`Unknown music policy for ${scene.name}: ${policy}`);
+      return 'leave';
+    }
+
+    return policy;
+  }
+
+  /**
+   * Start a scene's music according to its policy
+   *   replace - play the scene's music; it keeps playing after the scene stops
+   *   restore - play the scene's music, and put back what was playing before when the scene ends
+   *   leave   - don't touch the music
+   * @param {Object} scene - Scene being started
+   * @param {number} fadeInDuration - Fade-in in milliseconds (uses `audio.fadeIn.music` if not specified)
+   */
+  async applySceneMusic(scene, fadeInDuration = null) {
+    if (!this.musicManager) return;
+
+    const policy = this.getSceneMusicPolicy(scene);
+    const previous = this.sceneMusic;
+
+    // Music a previous "restore" scene borrowed goes back when the next scene doesn't play any
+    if (policy === 'leave') {
+      await this.releaseSceneMusic();
+      return;
+    }
+
+    const source = scene.audio.music;
+
+    // Whether the previous scene's music is still what's playing (not changed by hand)
+    const owned = previous !== null && previous.queueId === this.musicManager.getQueue().id;
+
+    // Consecutive "restore" scenes return to the music from before the first one
+    const music = { source, restore: policy === 'restore', snapshot: null };
+    if (music.restore) {
+      music.snapshot = owned && previous.restore ? previous.snapshot : this.musicManager.getMusicSnapshot();
+    }
+
+    // Scenes sharing a soundtrack don't restart it
+    if (!owned || previous.source !== source) {
+      console.log(`Scene music (${policy}): ${source}`);
+      await this.musicManager.playSource(source, fadeInDuration);
+    }
+
+    music.queueId = this.musicManager.getQueue().id;
+    this.sceneMusic = music;
+  }
+
+  /**
+   * Let go of the music the active scene started
+   * With the "restore" policy the music from before the scene comes back (or stops, if there was none),
+   * unless the music was changed by hand during the scene
+   */
+  async releaseSceneMusic() {
+    const music = this.sceneMusic;
+    this.sceneMusic = null;
+
+    if (!music || !music.restore) return;
+
+    if (music.queueId !== this.musicManager.getQueue().id) {
+      console.log('Music was changed during the scene - not restoring');
+      return;
+    }
+
+    console.log('Restoring music from before the scene');
+    await this.musicManager.restoreMusicSnapshot(music.snapshot);
+  }
+
+  /**
+   * Set the audio effects chains for a scene (`audio.effects`)
+   * Buses the scene doesn't list are cleared
+   * @param {Object|null} scene - Scene configuration, or null to clear all effects
+   * @param {Array<string>} buses - Buses to set (default: all)
+   */
+  applySceneEffects(scene, buses = ['music', 'ambient', 'trigger']) {
+    const effects = scene?.audio?.effects || {};
+
+    buses.forEach(bus => {
+      this.audioEngine.setBusEffects(bus, effects[bus] || []);
+    });
+  }
+
+  /**
+   * Put back the active scene's effects on buses a trigger changed
+   */
+  restoreSceneEffects() {
+    if (this.triggerEffectBuses.size === 0) return;
+
+    this.applySceneEffects(this.getCombinedScene(), [...this.triggerEffectBuses]);
+    this.triggerEffectBuses.clear();
+  }
+
+  /**
+   * Stop the currently active ambient scene and its overlays
    */
   async stopScene() {
-    if (!this.activeScene) return;
+    if (!this.activeScene && this.activeOverlays.length === 0) return;
 
-    console.log('Stopping active scene');
+    console.log('Stopping active scene and overlays');
 
     // Get lighting fade duration from config
     const lightingFadeDuration = this.configManager.getConfig()?.audio?.lightingFadeDuration || 0;
 
-    // Stop ambient audio only (will fade out) - music continues independently
+    // Stop ambient audio (will fade out); music keeps playing unless the scene restores the previous music
+    this.stopRandomTriggers();
     this.audioEngine.stopAmbient();
+    this.applySceneEffects(null);
 
-    // Turn off lights with fade
-    await this.lightingController.turnOffAll(null, lightingFadeDuration);
+    // Turn off lights with fade, plus any Home Assistant entities the scene lists
+    const scene = this.getCombinedScene();
+    await Promise.all([
+      this.lightingController.turnOffAll(null, lightingFadeDuration),
+      this.lightingController.turnOffHomeAssistantEntities(scene?.lighting?.homeAssistantOff, lightingFadeDuration),
+      this.releaseSceneMusic()
+    ]);
 
     this.activeScene = null;
+    this.activeOverlays = [];
+  }
+
+  /**
+   * Re-apply the active scene's lighting after a connection came back
+   * Skipped while a trigger is running, since the trigger owns the lights
+   * @param {string} target - Which connection came back ('wled' or 'homeAssistant')
+   */
+  async reapplySceneLighting(target) {
+    if (this.activeTriggers.length > 0) return;
+
+    const scene = this.getCombinedScene();
+    if (!scene || !scene.lighting) return;
+
+    if (target === 'wled' && scene.lighting.wled) {
+      console.log(`Re-applying ${scene.name} WLED lighting after reconnect`);
+      await this.lightingController.applyWLEDLighting(scene.lighting.wled);
+    }
+
+    if (target === 'homeAssistant' && scene.lighting.homeAssistant) {
+      console.log(`Re-applying ${scene.name} Home Assistant lighting after reconnect`);
+      await this.lightingController.applyHomeAssistantLighting(scene.lighting.homeAssistant);
+    }
   }
 
   /**
@@ -255,11 +1248,11 @@ class SceneManager {
   }
 
   /**
-   * Utility: Delay/sleep function
-   * @param {number} ms - Milliseconds to delay
-   * @returns {Promise}
+   * Check if a scene is active as the base scene or an overlay
+   * @param {string} sceneId - The scene identifier
+   * @returns {boolean}
    */
-  delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  isSceneActive(sceneId) {
+    return this.activeScene === sceneId || this.activeOverlays.includes(sceneId);
   }
 }
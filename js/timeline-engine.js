@@ -0,0 +1,116 @@
+/**
+ * Timeline Engine
+ * Runs trigger sequences on a clock: every event is scheduled at an absolute
+ * offset (`at`, in milliseconds) from the start of the run, and each part of an
+ * event (audio, lighting) plays on its own track. Calls are not awaited before
+ * the next event is due, so a slow WLED response can't push later events back
+ * (LightingController still sends each device its requests in order).
+ *
+ * Sequences written with relative `delay`s are translated: an event without `at`
+ * happens `delay` milliseconds after the event before it.
+ */
+
+class TimelineEngine {
+  /**
+   * @param {Object} handlers - Track name -> function(part, event) that performs the event's part
+   *                            for that track (e.g. { audio, lighting }); may return a promise
+   */
+  constructor(handlers) {
+    this.handlers = handlers;
+  }
+
+  /**
+   * Translate a sequence to absolute offsets
+   * @param {Array<Object>} sequence - Events with `at` and/or relative `delay`
+   * @returns {Array<Object>} Copies of the events with `at` (and no `delay`), in time order
+   */
+  static normalize(sequence) {
+    let cursor = 0;
+
+    const events = (sequence || []).map(event => {
+      const { delay, ...rest } = event;
+      const at = event.at ?? cursor + (delay > 0 ? delay : 0);
+      cursor = at;
+      return { ...rest, at };
+    });
+
+    // Stable, so events at the same time keep their order
+    return events.sort((a, b) => a.at - b.at);
+  }
+
+  /**
+   * Run a sequence
+   * Resolves once every event has been dispatched and its calls have settled
+   * @param {Array<Object>} sequence - Sequence in either format
+   * @param {AbortSignal} signal - Optional signal; events not yet due are dropped once aborted
+   * @returns {Promise}
+   */
+  async run(sequence, signal = null) {
+    const events = TimelineEngine.normalize(sequence);
+    const start = performance.now();
+
+    const tracks = Object.keys(this.handlers).map(track => ({
+      track,
+      events: events.filter(event => event[track])
+    }));
+
+    await Promise.all(tracks
+      .filter(({ events }) => events.length > 0)
+      .map(({ track, events }) => this.runTrack(track, events, start, signal)));
+  }
+
+  /**
+   * Dispatch one track's events at their offsets
+   * @param {string} track - Track name
+   * @param {Array<Object>} events - Normalized events for this track
+   * @param {number} start - performance.now() at the start of the run
+   * @param {AbortSignal} signal - Optional abort signal
+   * @returns {Promise}
+   */
+  async runTrack(track, events, start, signal) {
+    const handler = this.handlers[track];
+    const pending = [];
+
+    for (const event of events) {
+      // Measured from the start, so time spent in earlier calls doesn't add up
+      const wait = event.at - (performance.now() - start);
+      if (wait > 0) {
+        await this.wait(wait, signal);
+      }
+
+      if (signal && signal.aborted) break;
+
+      pending.push(Promise.resolve()
+        .then(() => handler(event[track], event))
+        .catch(error => {
+          console.error(`Timeline ${track} event at ${event.at}ms failed:`, error);
+        }));
+    }
+
+    await Promise.all(pending);
+  }
+
+  /**
+   * Wait, ending early if the signal aborts
+   * @param {number} ms - Milliseconds to wait
+   * @param {AbortSignal} signal - Optional abort signal
+   * @returns {Promise}
+   */
+  wait(ms, signal = null) {
+    return new Promise(resolve => {
+      if (signal && signal.aborted) {
+        resolve();
+        return;
+      }
+
+      const timeout = setTimeout(resolve, ms);
+
+      if (signal) {
+        signal.addEventListener('abort', () => {
+          clearTimeout(timeout);
+          resolve();
+        }, { once: true });
+      }
+    });
+  }
+}